@@ -0,0 +1,123 @@
+/**
+ * Inference Engine Presets
+ *
+ * How each serving engine uses VRAM beyond model weights: runtime overhead
+ * and the layout of its KV cache. Every value can be overridden in the
+ * Serving Engine dialog.
+ *
+ * Overhead fields:
+ *   - cudaContextGB: CUDA context + engine runtime per process, per GPU
+ *   - batchTokens: tokens in one forward pass; sizes activation/workspace memory
+ *   - fragmentationPct: allocator fragmentation as % of weights + KV cache
+ *   - memoryUtilization: share of each GPU's VRAM the engine may use
+ *     (vLLM gpu_memory_utilization); the rest is held back
+ *
+ * KV cache layout (kvLayout), which decides how a KV budget maps to concurrency:
+ *   - contiguous: ideal, perfectly packed cache
+ *   - paged: fixed-size blocks of kvBlockTokens; the last block of each
+ *     request is partly empty
+ *   - radix: token-level pages; kvPrefixSharePct of each prompt is a prefix
+ *     shared between requests and stored once
+ *   - slots: n_parallel slots that each preallocate kvSlotTokens
+ *     (0 = the model's max context), whatever the request length
+ */
+
+const ENGINES = [
+  {
+    id: 'generic',
+    name: 'Generic (20% of model memory)',
+    kvLayout: 'contiguous',
+    defaults: {
+      cudaContextGB: 0,
+      batchTokens: 0,
+      fragmentationPct: 20,
+      memoryUtilization: 1,
+      kvBlockTokens: 1,
+      kvSlotTokens: 0,
+      kvPrefixSharePct: 0
+    },
+    notes: 'Flat 20% of weights + KV cache and an ideal KV cache; rough rule of thumb for any engine'
+  },
+  {
+    id: 'vllm',
+    name: 'vLLM',
+    kvLayout: 'paged',
+    defaults: {
+      cudaContextGB: 0.8,     // CUDA context + CUDA graphs + NCCL buffers
+      batchTokens: 8192,      // max_num_batched_tokens (chunked prefill)
+      fragmentationPct: 2,    // PagedAttention keeps KV fragmentation low
+      memoryUtilization: 0.9, // gpu_memory_utilization default
+      kvBlockTokens: 16,      // --block-size default
+      kvSlotTokens: 0,
+      kvPrefixSharePct: 0
+    },
+    notes: 'PagedAttention with 16-token blocks, gpu_memory_utilization=0.9, max_num_batched_tokens=8192'
+  },
+  {
+    id: 'sglang',
+    name: 'SGLang',
+    kvLayout: 'radix',
+    defaults: {
+      cudaContextGB: 0.8,
+      batchTokens: 8192,      // chunked_prefill_size
+      fragmentationPct: 2,
+      memoryUtilization: 0.88, // mem_fraction_static default on large GPUs
+      kvBlockTokens: 1,       // page_size default
+      kvSlotTokens: 0,
+      kvPrefixSharePct: 0     // raise for shared system prompts / few-shot examples
+    },
+    notes: 'RadixAttention: set the shared prompt prefix % to match your workload (system prompts, few-shot examples)'
+  },
+  {
+    id: 'tgi',
+    name: 'TGI',
+    kvLayout: 'paged',
+    defaults: {
+      cudaContextGB: 0.8,
+      batchTokens: 4096,      // max_batch_prefill_tokens default
+      fragmentationPct: 5,
+      memoryUtilization: 1,   // cuda_memory_fraction default
+      kvBlockTokens: 16,
+      kvSlotTokens: 0,
+      kvPrefixSharePct: 0
+    },
+    notes: 'Text Generation Inference with paged attention (16-token blocks), max_batch_prefill_tokens=4096'
+  },
+  {
+    id: 'llamacpp',
+    name: 'llama.cpp',
+    kvLayout: 'slots',
+    defaults: {
+      cudaContextGB: 0.4,
+      batchTokens: 512,       // n_ubatch default; sizes the compute buffer
+      fragmentationPct: 1,    // KV cache is allocated up front
+      memoryUtilization: 1,
+      kvBlockTokens: 1,
+      kvSlotTokens: 8192,     // -c / -np: context per parallel slot
+      kvPrefixSharePct: 0
+    },
+    notes: 'llama-server: every parallel slot preallocates its full context, so short requests waste the rest of the slot'
+  },
+  {
+    id: 'trtllm',
+    name: 'TensorRT-LLM',
+    kvLayout: 'paged',
+    defaults: {
+      cudaContextGB: 1.0,
+      batchTokens: 8192,      // max_num_tokens
+      fragmentationPct: 1,
+      memoryUtilization: 0.9, // kv_cache_free_gpu_mem_fraction
+      kvBlockTokens: 64,      // tokens_per_block
+      kvSlotTokens: 0,
+      kvPrefixSharePct: 0
+    },
+    notes: 'Paged KV cache with 64-token blocks, kv_cache_free_gpu_mem_fraction=0.9'
+  }
+];
+
+// Matches the overhead and KV math used before engines were configurable
+const DEFAULT_ENGINE_ID = 'generic';
+
+function getEngineById(id) {
+  return ENGINES.find(e => e.id === id) || ENGINES.find(e => e.id === DEFAULT_ENGINE_ID);
+}
@@ -18,7 +18,38 @@ const HARDWARE = [
     },
     gpuCount: 1,
     interconnect: null,    // No multi-GPU interconnect for single GPU
+    pcieBandwidth: 64,     // GB/s host link per GPU, PCIe 5.0 x16 (offloaded MoE experts)
     notes: 'Blackwell architecture workstation GPU'
+  },
+  {
+    id: '2x-rtx-pro-6000-blackwell',
+    name: '2x RTX PRO 6000 Blackwell Max-Q',
+    vram: 192,             // GB total VRAM (96GB per GPU)
+    bandwidth: 3600,       // GB/s aggregate memory bandwidth
+    tflops: {
+      fp32: 150,
+      fp16: 300,
+      fp8: 600
+    },
+    gpuCount: 2,
+    interconnect: 64,      // GB/s PCIe 5.0 x16 (no NVLink on this card)
+    pcieBandwidth: 64,     // GB/s host link per GPU
+    notes: 'Dual Blackwell workstation GPUs over PCIe'
+  },
+  {
+    id: '4x-rtx-pro-6000-blackwell',
+    name: '4x RTX PRO 6000 Blackwell Max-Q',
+    vram: 384,             // GB total VRAM (96GB per GPU)
+    bandwidth: 7200,       // GB/s aggregate memory bandwidth
+    tflops: {
+      fp32: 300,
+      fp16: 600,
+      fp8: 1200
+    },
+    gpuCount: 4,
+    interconnect: 64,      // GB/s PCIe 5.0 x16 (no NVLink on this card)
+    pcieBandwidth: 64,     // GB/s host link per GPU
+    notes: 'Quad Blackwell workstation GPUs over PCIe'
   }
   // Add more hardware configurations as needed:
   // {
@@ -29,6 +60,7 @@ const HARDWARE = [
   //   tflops: { fp32: 19.5, fp16: 312, fp8: null },
   //   gpuCount: 1,
   //   interconnect: null,
+  //   pcieBandwidth: 32,  // GB/s PCIe 4.0 x16
   //   notes: 'Ampere architecture datacenter GPU'
   // },
   // {
@@ -39,10 +71,14 @@ const HARDWARE = [
   //   tflops: { fp32: 39, fp16: 624, fp8: null },
   //   gpuCount: 2,
   //   interconnect: 600,  // GB/s NVLink bandwidth
+  //   pcieBandwidth: 32,
   //   notes: 'Dual A100 with NVLink'
   // }
 ];
 
+// User-defined hardware profiles (see js/hardware-editor.js), loaded from localStorage
+const CUSTOM_HARDWARE = [];
+
 // Default hardware selection
 const DEFAULT_HARDWARE_ID = 'rtx-pro-6000-blackwell';
 
@@ -55,9 +91,14 @@ const QUANT_DEGRADATION = {
   0.5: 0.97    // INT4 - ~3% quality loss typical
 };
 
+// Helper function to get built-in and custom hardware together
+function getAllHardware() {
+  return HARDWARE.concat(CUSTOM_HARDWARE);
+}
+
 // Helper function to get hardware by ID
 function getHardwareById(id) {
-  return HARDWARE.find(h => h.id === id) || HARDWARE[0];
+  return getAllHardware().find(h => h.id === id) || HARDWARE[0];
 }
 
 // Helper function to get default hardware
@@ -5,15 +5,90 @@
  * configurable precision options (your choice as inference server operator),
  * and benchmarks organized by weight precision.
  *
+ * Identity:
+ *   - id: stable key for saved plans and share links; never rename or reuse
+ *
  * Architecture fields (from model card):
  *   - layers, hiddenDim, numHeads, kvHeads, headDim
  *   - vocabSize, maxContext, baseParams
  *   - activeParams (for MoE models - params active per token)
  *
+ * Mixture of experts (optional `moe`; without it MoE models read
+ * activeParams per decode step whatever the batch):
+ *   - experts: routed experts per MoE layer
+ *   - expertsPerToken: routed experts each token is sent to
+ *   - sharedExpertParams: always-active shared experts, all layers
+ *   - denseParams: everything else that is always active (attention,
+ *     embeddings, dense MLP layers)
+ *   The routed experts hold the remaining baseParams.
+ *
+ * Attention (optional `attention`; without it every layer caches kvHeads K
+ * and V heads of headDim per token: MHA when kvHeads = numHeads, MQA when
+ * kvHeads = 1, GQA otherwise):
+ *   - type: 'mha', 'gqa', 'mqa' or 'mla'
+ *   - latentDim: MLA only; values cached per token per layer (compressed KV
+ *     latent + decoupled RoPE key), replacing kvHeads * headDim * 2
+ *   - window: sliding-window / chunked attention span in tokens
+ *   - windowLayers: layers that use the window; the rest attend to the whole
+ *     context (default: all layers)
+ *
+ * Vision (optional `vision`; images are turned into tokens that sit in the
+ * context like text, so they take KV cache and prefill compute):
+ *   - encoderParams: vision encoder parameters, not included in baseParams;
+ *     kept at 16-bit (VISION_ENCODER_BYTES) whatever the weight precision
+ *   - patchSize: pixels per patch side
+ *   - mergeSize: patches merged into one token per side (e.g. 2 = 2x2)
+ *   - tileSize / maxTiles: tiled models cut images into tiles of tileSize
+ *     pixels (at most maxTiles) plus a global view; otherwise the image is
+ *     patched at its own resolution
+ *   - tokensPerImage: fixed tokens per image, replacing the above
+ *
  * Precision options (your inference server choice):
  *   - weightBytesOptions: available weight quantizations
  *   - kvBytesOptions: available KV cache precisions
  *
+ * Workload defaults:
+ *   - defaultAvgTokens: context per request (prompt + completion)
+ *   - defaultPromptTokens: prompt length, drives prefill / time-to-first-token
+ *   - defaultP95Tokens: 95th percentile context per request
+ *   - defaultMaxTokens: longest request context the server accepts (e.g.
+ *     vLLM --max-model-len); should not exceed maxContext
+ *   - defaultOffloadPct: MoE only; share of routed experts kept in CPU RAM
+ *     and streamed over PCIe when a batch routes to them
+ *   - defaultImagesPerRequest, defaultImageWidth, defaultImageHeight: vision
+ *     only; image tokens are added on top of the text token counts above
+ *
+ * Replicas (optional):
+ *   - defaultReplicas: identical copies served side by side for
+ *     throughput, each with its own weights, KV budget and traffic; the
+ *     per-request figures (Max Concurrent, tok/s, TTFT) are per copy.
+ *     A whole number from 1 to MAX_REPLICAS
+ *   - replicaOf: set on replica rows (see js/replicas.js), copies of the
+ *     model with that id that keep their own precision and KV settings
+ *
+ * Speculative decoding (optional; see getDraftModel):
+ *   - defaultDraftModelId: id of another MODELS entry that drafts tokens
+ *     for this one, served alongside it; null for plain decoding
+ *   - defaultDraftTokens: tokens drafted per step
+ *   - defaultAcceptancePct: chance the target accepts each drafted token
+ *
+ * LoRA adapters (optional; decoder models only, see calculateLoraGB). Each
+ * adapter adds rank x (input + output) params per adapted projection per
+ * layer, sized from hiddenDim and the attention heads:
+ *   - defaultLoraAdapters: adapters kept resident in VRAM
+ *   - defaultLoraSlots: extra VRAM slots for adapters hot-swapped in from
+ *     CPU RAM on demand
+ *   - defaultLoraRank: adapter rank
+ *   - defaultLoraTargets: adapted projections, a key of LORA_TARGETS
+ *   - defaultLoraBytes: adapter precision in bytes per param
+ *
+ * Encoder workload (Embed, Rerank and Classifier types, see isEncoderModel):
+ * these run one forward pass per batch of items, generate nothing and keep
+ * no KV cache. defaultAvgTokens is the sequence length of one item.
+ *   - defaultItemsPerSec: documents (Embed), query-document pairs (Rerank)
+ *     or texts (Classifier) to encode per second
+ *   - defaultEncoderBatch: items per forward pass
+ *
  * Benchmarks by weight precision:
  *   - Keyed by bytes per param (2 = FP16, 1 = INT8, 0.5 = INT4)
  *   - null values = not yet measured, will use degradation estimates
@@ -23,6 +98,7 @@ const MODELS = [
   // === Dense Models ===
 
   {
+    id: 'llama-3.1-8b',
     name: 'Llama-3.1-8B',
     type: 'Text',
 
@@ -42,6 +118,9 @@ const MODELS = [
     defaultKvBytes: 2,
     defaultKVBudget: 8,
     defaultAvgTokens: 6000,
+    defaultPromptTokens: 2000,
+    defaultP95Tokens: 16384,
+    defaultMaxTokens: 131072,
     defaultTargetTokensPerSec: 50,
     enabled: true,
 
@@ -54,6 +133,7 @@ const MODELS = [
   },
 
   {
+    id: 'llama-3.3-70b',
     name: 'Llama-3.3-70B',
     type: 'Text',
 
@@ -73,6 +153,9 @@ const MODELS = [
     defaultKvBytes: 2,
     defaultKVBudget: 16,
     defaultAvgTokens: 8000,
+    defaultPromptTokens: 3000,
+    defaultP95Tokens: 24576,
+    defaultMaxTokens: 131072,
     defaultTargetTokensPerSec: 25,
     enabled: true,
 
@@ -84,6 +167,7 @@ const MODELS = [
   },
 
   {
+    id: 'qwen3-8b',
     name: 'Qwen3-8B',
     type: 'Text',
 
@@ -103,6 +187,9 @@ const MODELS = [
     defaultKvBytes: 2,
     defaultKVBudget: 8,
     defaultAvgTokens: 6000,
+    defaultPromptTokens: 2000,
+    defaultP95Tokens: 16384,
+    defaultMaxTokens: 32768,
     defaultTargetTokensPerSec: 40,
     enabled: true,
 
@@ -117,6 +204,7 @@ const MODELS = [
   // === MoE Models ===
 
   {
+    id: 'deepseek-v3',
     name: 'DeepSeek-V3',
     type: 'Text MoE',
 
@@ -125,10 +213,20 @@ const MODELS = [
     numHeads: 128,
     kvHeads: 128,
     headDim: 128,
+    attention: {
+      type: 'mla',
+      latentDim: 576          // kv_lora_rank 512 + qk_rope_head_dim 64
+    },
     vocabSize: 102400,
     maxContext: 131072,
     baseParams: 671e9,        // Total params
     activeParams: 37e9,       // Active per token
+    moe: {
+      experts: 256,
+      expertsPerToken: 8,
+      sharedExpertParams: 2.55e9,  // 1 shared expert in each of 58 MoE layers
+      denseParams: 14e9            // MLA attention, embeddings, 3 dense layers
+    },
 
     weightBytesOptions: [0.5, 1, 2],
     kvBytesOptions: [1, 2],
@@ -137,6 +235,9 @@ const MODELS = [
     defaultKvBytes: 1,
     defaultKVBudget: 8,
     defaultAvgTokens: 12000,
+    defaultPromptTokens: 4000,
+    defaultP95Tokens: 32768,
+    defaultMaxTokens: 131072,
     defaultTargetTokensPerSec: 20,
     enabled: true,
 
@@ -148,6 +249,7 @@ const MODELS = [
   },
 
   {
+    id: 'llama-4-scout',
     name: 'Llama-4-Scout',
     type: 'Multimodal MoE',
 
@@ -156,10 +258,28 @@ const MODELS = [
     numHeads: 64,
     kvHeads: 8,
     headDim: 128,
+    attention: {
+      type: 'gqa',
+      window: 8192,           // chunked attention (attention_chunk_size)
+      windowLayers: 60        // 3 of every 4 layers; every 4th is global (NoPE)
+    },
     vocabSize: 128256,
     maxContext: 10000000,     // 10M token context!
     baseParams: 109e9,        // Total params
     activeParams: 17e9,       // Active per token
+    vision: {
+      encoderParams: 0.7e9,   // Estimated
+      patchSize: 14,
+      mergeSize: 2,           // pixel shuffle: 144 tokens per 336px tile
+      tileSize: 336,
+      maxTiles: 16
+    },
+    moe: {
+      experts: 16,
+      expertsPerToken: 1,
+      sharedExpertParams: 6.1e9,
+      denseParams: 4.8e9
+    },
 
     weightBytesOptions: [0.5, 1, 2],
     kvBytesOptions: [1, 2],
@@ -168,7 +288,13 @@ const MODELS = [
     defaultKvBytes: 1,
     defaultKVBudget: 20,
     defaultAvgTokens: 50000,  // Long context use cases
+    defaultPromptTokens: 40000,
+    defaultP95Tokens: 131072,
+    defaultMaxTokens: 262144,
     defaultTargetTokensPerSec: 15,
+    defaultImagesPerRequest: 0,
+    defaultImageWidth: 1024,
+    defaultImageHeight: 1024,
     enabled: true,
 
     benchmarks: {
@@ -179,6 +305,7 @@ const MODELS = [
   },
 
   {
+    id: 'llama-4-maverick',
     name: 'Llama-4-Maverick',
     type: 'Multimodal MoE',
 
@@ -187,10 +314,28 @@ const MODELS = [
     numHeads: 64,
     kvHeads: 8,
     headDim: 128,
+    attention: {
+      type: 'gqa',
+      window: 8192,           // chunked attention (attention_chunk_size)
+      windowLayers: 60        // 3 of every 4 layers; every 4th is global (NoPE)
+    },
     vocabSize: 128256,
     maxContext: 1000000,      // 1M token context
     baseParams: 400e9,        // Total params
     activeParams: 17e9,       // Active per token (128 experts)
+    vision: {
+      encoderParams: 0.7e9,   // Estimated
+      patchSize: 14,
+      mergeSize: 2,           // pixel shuffle: 144 tokens per 336px tile
+      tileSize: 336,
+      maxTiles: 16
+    },
+    moe: {
+      experts: 128,
+      expertsPerToken: 1,
+      sharedExpertParams: 3e9,
+      denseParams: 11e9         // Includes the interleaved dense MLP layers
+    },
 
     weightBytesOptions: [0.5, 1, 2],
     kvBytesOptions: [1, 2],
@@ -199,7 +344,13 @@ const MODELS = [
     defaultKvBytes: 1,
     defaultKVBudget: 10,
     defaultAvgTokens: 20000,
+    defaultPromptTokens: 15000,
+    defaultP95Tokens: 65536,
+    defaultMaxTokens: 131072,
     defaultTargetTokensPerSec: 18,
+    defaultImagesPerRequest: 0,
+    defaultImageWidth: 1024,
+    defaultImageHeight: 1024,
     enabled: true,
 
     benchmarks: {
@@ -210,6 +361,7 @@ const MODELS = [
   },
 
   {
+    id: 'mistral-large-3',
     name: 'Mistral-Large-3',
     type: 'Text MoE',
 
@@ -230,6 +382,9 @@ const MODELS = [
     defaultKvBytes: 1,
     defaultKVBudget: 10,
     defaultAvgTokens: 15000,
+    defaultPromptTokens: 8000,
+    defaultP95Tokens: 49152,
+    defaultMaxTokens: 131072,
     defaultTargetTokensPerSec: 22,
     enabled: true,
 
@@ -243,6 +398,7 @@ const MODELS = [
   // === Vision Models ===
 
   {
+    id: 'qwen3-vl-8b',
     name: 'Qwen3-VL-8B',
     type: 'Vision',
 
@@ -254,6 +410,11 @@ const MODELS = [
     vocabSize: 152064,
     maxContext: 32768,
     baseParams: 8e9,
+    vision: {
+      encoderParams: 0.58e9,
+      patchSize: 16,
+      mergeSize: 2            // 2x2 patches per token: 32x32 pixels
+    },
 
     weightBytesOptions: [0.5, 1, 2],
     kvBytesOptions: [1, 2],
@@ -262,7 +423,13 @@ const MODELS = [
     defaultKvBytes: 2,
     defaultKVBudget: 3,
     defaultAvgTokens: 4000,
+    defaultPromptTokens: 2000,
+    defaultP95Tokens: 12288,
+    defaultMaxTokens: 31744,  // Plus 1024 image tokens fills maxContext
     defaultTargetTokensPerSec: 30,
+    defaultImagesPerRequest: 1,
+    defaultImageWidth: 1024,
+    defaultImageHeight: 1024,
     enabled: true,
 
     benchmarks: {
@@ -275,6 +442,7 @@ const MODELS = [
   // === Code Models ===
 
   {
+    id: 'qwen3-coder-30b-a3b',
     name: 'Qwen3-Coder-30B-A3B',
     type: 'Code MoE',
 
@@ -287,6 +455,12 @@ const MODELS = [
     maxContext: 131072,
     baseParams: 30e9,         // Total params
     activeParams: 3e9,        // Active params
+    moe: {
+      experts: 128,
+      expertsPerToken: 8,
+      sharedExpertParams: 0,
+      denseParams: 1.2e9
+    },
 
     weightBytesOptions: [0.5, 1, 2],
     kvBytesOptions: [1, 2],
@@ -295,6 +469,9 @@ const MODELS = [
     defaultKvBytes: 1,
     defaultKVBudget: 3,
     defaultAvgTokens: 100000,
+    defaultPromptTokens: 80000,
+    defaultP95Tokens: 131072,
+    defaultMaxTokens: 131072,
     defaultTargetTokensPerSec: 20,
     enabled: true,
 
@@ -308,6 +485,7 @@ const MODELS = [
   // === Embedding & Reranking Models ===
 
   {
+    id: 'qwen3-embedding-8b',
     name: 'Qwen3-Embedding-8B',
     type: 'Embed',
 
@@ -326,8 +504,13 @@ const MODELS = [
     defaultWeightBytes: 1,
     defaultKvBytes: 0,
     defaultKVBudget: 0,
-    defaultAvgTokens: 0,
+    defaultAvgTokens: 512,
+    defaultPromptTokens: 0,
+    defaultP95Tokens: 1024,
+    defaultMaxTokens: 8192,
     defaultTargetTokensPerSec: 0,
+    defaultItemsPerSec: 10,
+    defaultEncoderBatch: 32,
     enabled: false,
 
     benchmarks: {
@@ -338,6 +521,7 @@ const MODELS = [
   },
 
   {
+    id: 'qwen3-reranker-8b',
     name: 'Qwen3-Reranker-8B',
     type: 'Rerank',
 
@@ -356,8 +540,13 @@ const MODELS = [
     defaultWeightBytes: 1,
     defaultKvBytes: 0,
     defaultKVBudget: 0,
-    defaultAvgTokens: 0,
+    defaultAvgTokens: 640,
+    defaultPromptTokens: 0,
+    defaultP95Tokens: 1024,
+    defaultMaxTokens: 8192,
     defaultTargetTokensPerSec: 0,
+    defaultItemsPerSec: 10,
+    defaultEncoderBatch: 32,
     enabled: false,
 
     benchmarks: {
@@ -368,6 +557,7 @@ const MODELS = [
   },
 
   {
+    id: 'distilbert-base',
     name: 'DistilBERT-base',
     type: 'Classifier',
 
@@ -381,13 +571,18 @@ const MODELS = [
     baseParams: 0.066e9,
 
     weightBytesOptions: [1, 2, 4],
-    kvBytesOptions: [2, 4],
+    kvBytesOptions: [],
 
     defaultWeightBytes: 4,
-    defaultKvBytes: 4,
+    defaultKvBytes: 0,
     defaultKVBudget: 0,
     defaultAvgTokens: 256,
+    defaultPromptTokens: 0,
+    defaultP95Tokens: 512,
+    defaultMaxTokens: 512,
     defaultTargetTokensPerSec: 0,
+    defaultItemsPerSec: 200,
+    defaultEncoderBatch: 64,
     enabled: false,
 
     benchmarks: {
@@ -482,24 +677,463 @@ function compareBenchmarks(model1, model2, precision = 2) {
   return comparison;
 }
 
+// Benchmark scores at a weight precision. Quantized scores that haven't been
+// measured are estimated from the FP16 baseline using QUANT_DEGRADATION.
+// Returns { key: { value, estimated } }, value is null when nothing is known.
+function getBenchmarkScores(model, precision = model.defaultWeightBytes) {
+  const measured = model.benchmarks[precision] || {};
+  const baseline = model.benchmarks[2] || {};
+  const degradation = QUANT_DEGRADATION[precision] !== undefined ? QUANT_DEGRADATION[precision] : 1;
+
+  const scores = {};
+  Object.keys(Object.assign({}, baseline, measured)).forEach(key => {
+    if (measured[key] !== null && measured[key] !== undefined) {
+      scores[key] = { value: measured[key], estimated: false };
+    } else if (baseline[key] !== null && baseline[key] !== undefined) {
+      scores[key] = { value: baseline[key] * degradation, estimated: true };
+    } else {
+      scores[key] = { value: null, estimated: false };
+    }
+  });
+
+  return scores;
+}
+
+// Average of the known benchmark scores at a precision
+function calculateQualityScore(model, precision = model.defaultWeightBytes) {
+  const known = Object.values(getBenchmarkScores(model, precision)).filter(s => s.value !== null);
+  if (known.length === 0) return null;
+
+  return {
+    score: known.reduce((sum, s) => sum + s.value, 0) / known.length,
+    estimated: known.some(s => s.estimated),
+    count: known.length
+  };
+}
+
+function getBenchmarkName(key) {
+  return BENCHMARK_INFO[key] ? BENCHMARK_INFO[key].name : key;
+}
+
 function getPrecisionLabel(bytes) {
   return PRECISION_LABELS[bytes] || bytes + 'B';
 }
 
 // Calculation helpers
+// Params of one routed expert, summed over all MoE layers
+function calculateExpertParams(model) {
+  if (!model.moe) return 0;
+  return (model.baseParams - model.moe.denseParams - model.moe.sharedExpertParams) / model.moe.experts;
+}
+
+function getOffloadShare(model) {
+  return model.moe ? Math.min(100, model.defaultOffloadPct || 0) / 100 : 0;
+}
+
 function calculateWeightsGB(model) {
-  // VRAM must store ALL weights (even for MoE)
-  return (model.baseParams * model.defaultWeightBytes) / 1e9;
+  // VRAM must store ALL weights (even for MoE), except experts offloaded to
+  // CPU RAM, plus the vision encoder and any draft model
+  return (model.baseParams * model.defaultWeightBytes) / 1e9 - calculateOffloadedWeightsGB(model) +
+    calculateVisionWeightsGB(model) + calculateDraftWeightsGB(model);
+}
+
+// Routed experts kept in CPU RAM instead of VRAM
+function calculateOffloadedWeightsGB(model) {
+  if (!model.moe) return 0;
+  return (calculateExpertParams(model) * model.moe.experts * getOffloadShare(model) * model.defaultWeightBytes) / 1e9;
+}
+
+// Expected distinct routed experts per layer that one decode step with
+// `batch` tokens touches, assuming tokens are routed independently and
+// uniformly. Approaches every expert as the batch grows.
+function calculateDistinctExperts(model, batch) {
+  const { experts, expertsPerToken } = model.moe;
+  return experts * (1 - Math.pow(1 - expertsPerToken / experts, Math.max(1, batch)));
+}
+
+// Weights (GB) one decode step reads for a batch of `batch` concurrent
+// requests: vramGB from GPU memory, offloadGB streamed over PCIe. Cold
+// experts are treated as likely to be hit as hot ones, so offloadGB is an
+// upper bound when routing is skewed.
+function calculateStepWeightReads(model, batch) {
+  const bytes = model.defaultWeightBytes;
+  if (!model.moe) {
+    return { vramGB: ((model.activeParams || model.baseParams) * bytes) / 1e9, offloadGB: 0 };
+  }
+  const touchedParams = calculateDistinctExperts(model, batch) * calculateExpertParams(model);
+  const offloadShare = getOffloadShare(model);
+  const alwaysActive = model.moe.denseParams + model.moe.sharedExpertParams;
+  return {
+    vramGB: ((alwaysActive + touchedParams * (1 - offloadShare)) * bytes) / 1e9,
+    offloadGB: (touchedParams * offloadShare * bytes) / 1e9
+  };
+}
+
+// Vision
+// Quantized checkpoints usually leave the vision encoder in BF16
+const VISION_ENCODER_BYTES = 2;
+
+function getImagesPerRequest(model) {
+  return model.vision ? model.defaultImagesPerRequest || 0 : 0;
 }
 
-function calculateKVPerToken(model) {
-  if (model.kvHeads === 0) return 0;
-  // KV per token = layers * kvHeads * headDim * 2 (K and V) * kvBytes
-  return model.layers * model.kvHeads * model.headDim * 2 * model.defaultKvBytes;
+// Tokens one image adds to the context at the given resolution
+function calculateTokensPerImage(model, width = model.defaultImageWidth, height = model.defaultImageHeight) {
+  const vision = model.vision;
+  if (!vision) return 0;
+  if (vision.tokensPerImage) return vision.tokensPerImage;
+  const tokenPixels = vision.patchSize * (vision.mergeSize || 1);
+  if (vision.tileSize) {
+    const tileTokens = Math.pow(Math.floor(vision.tileSize / tokenPixels), 2);
+    const tiles = Math.min(vision.maxTiles || Infinity, Math.ceil(width / vision.tileSize) * Math.ceil(height / vision.tileSize));
+    // Images cut into several tiles also get a downscaled global view
+    return (tiles > 1 ? tiles + 1 : tiles) * tileTokens;
+  }
+  return Math.ceil(width / tokenPixels) * Math.ceil(height / tokenPixels);
+}
+
+// Image tokens in every request
+function calculateImageTokens(model) {
+  return getImagesPerRequest(model) * calculateTokensPerImage(model);
+}
+
+// Whole context and prompt of an average request, images included
+function getContextTokens(model) {
+  return model.defaultAvgTokens + calculateImageTokens(model);
+}
+
+function getPromptTokens(model) {
+  return (model.defaultPromptTokens || 0) + calculateImageTokens(model);
+}
+
+function calculateVisionWeightsGB(model) {
+  return model.vision ? (model.vision.encoderParams * VISION_ENCODER_BYTES) / 1e9 : 0;
+}
+
+// FLOPs the vision encoder spends on one request's images: ~2 per encoder
+// parameter per patch, before patches are merged into tokens
+function calculateVisionFlops(model) {
+  if (!model.vision) return 0;
+  const merge = model.vision.mergeSize || 1;
+  return 2 * model.vision.encoderParams * calculateImageTokens(model) * merge * merge;
+}
+
+// Replicas
+// Placement runs once per copy, so shared links and plan files can't ask
+// for an unbounded number
+const MAX_REPLICAS = 64;
+
+function isValidReplicaCount(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_REPLICAS;
+}
+
+function getReplicaCount(model) {
+  return Math.min(MAX_REPLICAS, Math.max(1, Math.round(model.defaultReplicas || 1)));
+}
+
+// Id of the model a replica row copies; a model's own id otherwise
+function getReplicaBaseId(model) {
+  return model.replicaOf || model.id;
+}
+
+// Speculative decoding
+// Used until a draft pairing sets its own
+const DEFAULT_DRAFT_TOKENS = 4;
+const DEFAULT_ACCEPTANCE_PCT = 70;
+
+// The model drafting tokens for `model`, looked up in `models`; null
+// without one (or when its entry is gone). Drafts can't draft for
+// themselves or be encoders. Copies of another plan's models carry that
+// plan's draft as draftModel (see buildScenarioModels).
+function getDraftModel(model, models = MODELS) {
+  if (!model.defaultDraftModelId || model.defaultDraftModelId === model.id) return null;
+  if (model.draftModel && model.draftModel.id === model.defaultDraftModelId) return model.draftModel;
+  const draft = models.find(m => m.id === model.defaultDraftModelId);
+  return draft && !isEncoderModel(draft) ? draft : null;
+}
+
+// Models that can draft for `model`: smaller decoder models, not replica rows
+function getDraftCandidates(model) {
+  return MODELS.filter(m => m.id !== model.id && !m.replicaOf && !isEncoderModel(m) && m.kvHeads > 0 && m.baseParams < model.baseParams);
+}
+
+function getDraftTokens(model) {
+  return Math.max(1, Math.round(model.defaultDraftTokens || DEFAULT_DRAFT_TOKENS));
+}
+
+function getAcceptanceRate(model) {
+  const pct = model.defaultAcceptancePct !== undefined ? model.defaultAcceptancePct : DEFAULT_ACCEPTANCE_PCT;
+  return Math.min(100, Math.max(0, pct)) / 100;
 }
 
-function calculateMaxConcurrent(model) {
-  const kvPerToken = calculateKVPerToken(model);
-  if (kvPerToken === 0 || model.defaultAvgTokens === 0) return 0;
-  return (model.defaultKVBudget * 1e9) / (kvPerToken * model.defaultAvgTokens);
+// Expected tokens each target step produces: the accepted prefix of the
+// draft plus the target's own token (Leviathan et al., 2023); 1 without a draft
+function calculateTokensPerStep(model) {
+  if (!getDraftModel(model)) return 1;
+  const k = getDraftTokens(model);
+  const acceptance = getAcceptanceRate(model);
+  if (acceptance >= 1) return k + 1;
+  return (1 - Math.pow(acceptance, k + 1)) / (1 - acceptance);
+}
+
+// Draft weights at the draft's own weight precision
+function calculateDraftWeightsGB(model) {
+  const draft = getDraftModel(model);
+  return draft ? (draft.baseParams * draft.defaultWeightBytes) / 1e9 : 0;
+}
+
+// LoRA adapters
+// Used until a model sets its own
+const DEFAULT_LORA_RANK = 16;
+const DEFAULT_LORA_TARGETS = 'attention';
+const DEFAULT_LORA_BYTES = 2;
+
+// Projections each target preset adapts
+const LORA_TARGETS = {
+  qv: { label: 'q, v', modules: ['q', 'v'] },
+  attention: { label: 'q, k, v, o', modules: ['q', 'k', 'v', 'o'] },
+  all: { label: 'Attention + MLP', modules: ['q', 'k', 'v', 'o', 'gate', 'up', 'down'] }
+};
+
+// MLP width relative to hiddenDim, which the model fields don't record
+// (Llama-style SwiGLU, e.g. 14336 / 4096)
+const LORA_MLP_RATIO = 3.5;
+
+function supportsLora(model) {
+  return !isEncoderModel(model) && model.hiddenDim > 0;
+}
+
+function getLoraAdapters(model) {
+  return supportsLora(model) ? Math.max(0, Math.round(model.defaultLoraAdapters || 0)) : 0;
+}
+
+function getLoraSlots(model) {
+  return supportsLora(model) ? Math.max(0, Math.round(model.defaultLoraSlots || 0)) : 0;
+}
+
+function getLoraRank(model) {
+  return Math.max(1, Math.round(model.defaultLoraRank || DEFAULT_LORA_RANK));
+}
+
+function getLoraTargets(model) {
+  return LORA_TARGETS[model.defaultLoraTargets] ? model.defaultLoraTargets : DEFAULT_LORA_TARGETS;
+}
+
+function getLoraBytes(model) {
+  return model.defaultLoraBytes || DEFAULT_LORA_BYTES;
+}
+
+// [input, output] width of one adapted projection
+function getLoraModuleDims(model, module) {
+  const qDim = model.numHeads * model.headDim || model.hiddenDim;
+  const kvDim = model.kvHeads * model.headDim || qDim;
+  const mlpDim = model.hiddenDim * LORA_MLP_RATIO;
+  switch (module) {
+    case 'q': return [model.hiddenDim, qDim];
+    case 'k':
+    case 'v': return [model.hiddenDim, kvDim];
+    case 'o': return [qDim, model.hiddenDim];
+    case 'down': return [mlpDim, model.hiddenDim];
+    default: return [model.hiddenDim, mlpDim];
+  }
+}
+
+// Params of one adapter: A (input x rank) and B (rank x output) per
+// adapted projection, every layer
+function calculateLoraParams(model) {
+  const rank = getLoraRank(model);
+  const perLayer = LORA_TARGETS[getLoraTargets(model)].modules.reduce((sum, module) => {
+    const dims = getLoraModuleDims(model, module);
+    return sum + rank * (dims[0] + dims[1]);
+  }, 0);
+  return perLayer * model.layers;
+}
+
+function calculateLoraAdapterGB(model) {
+  return (calculateLoraParams(model) * getLoraBytes(model)) / 1e9;
+}
+
+// VRAM for the resident adapters plus the hot-swap slots; kept apart from
+// calculateWeightsGB so it shows as its own slice
+function calculateLoraGB(model) {
+  return (getLoraAdapters(model) + getLoraSlots(model)) * calculateLoraAdapterGB(model);
+}
+
+// Encoders
+const ENCODER_TYPES = ['Embed', 'Rerank', 'Classifier'];
+
+// What one encoder item is, per model type
+const ENCODER_ITEM_UNITS = { Embed: 'docs', Rerank: 'pairs', Classifier: 'texts' };
+
+// Batch size for models saved before encoder workloads
+const DEFAULT_ENCODER_BATCH = 32;
+
+function isEncoderModel(model) {
+  return ENCODER_TYPES.includes(model.type);
+}
+
+function getEncoderItemUnit(model) {
+  return ENCODER_ITEM_UNITS[model.type] || 'items';
+}
+
+function getEncoderItemsPerSec(model) {
+  return model.defaultItemsPerSec || 0;
+}
+
+function getEncoderBatch(model) {
+  return Math.max(1, Math.round(model.defaultEncoderBatch || DEFAULT_ENCODER_BATCH));
+}
+
+// Requests decoding together: as many as the KV budget holds, at least one
+function getDecodeBatch(model, engine = engineConfig) {
+  return Math.max(1, calculateMaxConcurrent(model, engine));
+}
+
+function getAttentionType(model) {
+  if (model.attention && model.attention.type) return model.attention.type;
+  if (model.kvHeads === model.numHeads) return 'mha';
+  return model.kvHeads === 1 ? 'mqa' : 'gqa';
+}
+
+// Values cached per token in one layer
+function calculateKVValuesPerLayer(model) {
+  if (getAttentionType(model) === 'mla') return model.attention.latentDim;
+  // K and V for each KV head
+  return model.kvHeads * model.headDim * 2;
+}
+
+// Number of layers attending only to the last `window` tokens
+function getWindowLayers(model) {
+  const attention = model.attention || {};
+  if (!attention.window) return 0;
+  if (attention.windowLayers === undefined) return model.layers;
+  return Math.min(model.layers, attention.windowLayers);
+}
+
+// KV cache bytes of one request holding `tokens` tokens of context.
+// Windowed layers never keep more than the window.
+function calculateKVBytes(model, tokens) {
+  if (model.kvHeads === 0 || isEncoderModel(model)) return 0;
+  const attention = model.attention || {};
+  const windowLayers = getWindowLayers(model);
+  const cachedTokens = (model.layers - windowLayers) * tokens + windowLayers * Math.min(tokens, attention.window || 0);
+  return cachedTokens * calculateKVValuesPerLayer(model) * model.defaultKvBytes;
+}
+
+// Average KV bytes per token for a request of `tokens` tokens (Avg
+// Tokens/Req plus image tokens by default). Falls as context grows past a
+// sliding window.
+function calculateKVPerToken(model, tokens = getContextTokens(model)) {
+  const contextTokens = Math.max(1, tokens);
+  return calculateKVBytes(model, contextTokens) / contextTokens;
+}
+
+// Tooltip for the KV/Token column
+function describeAttention(model) {
+  if (model.kvHeads === 0 || isEncoderModel(model)) return 'No KV cache';
+  const type = getAttentionType(model);
+  let text = type.toUpperCase() + ': ' + calculateKVValuesPerLayer(model) + ' values per token per layer';
+  if (type === 'mla') {
+    const fullKV = model.kvHeads * model.headDim * 2;
+    text += ' (' + ((model.attention.latentDim / fullKV) * 100).toFixed(1) + '% of uncompressed K/V)';
+  }
+  const windowLayers = getWindowLayers(model);
+  if (windowLayers > 0) {
+    text += '; ' + windowLayers + ' of ' + model.layers + ' layers keep only the last ' +
+      model.attention.window.toLocaleString() + ' tokens, averaged over ' +
+      Math.max(1, getContextTokens(model)).toLocaleString() + ' tokens';
+  }
+  return text;
+}
+
+// KV cache of one request of `tokens` tokens plus its draft model's, which
+// keeps its own cache for the same tokens in the same budget
+function calculateRequestKVBytes(model, tokens) {
+  const draft = getDraftModel(model);
+  return calculateKVBytes(model, tokens) + (draft ? calculateKVBytes(draft, tokens) : 0);
+}
+
+// KV cache one request occupies under the serving engine's cache layout
+// (see data/engines.js). Returns bytesPerRequest and the tokens it holds
+// (requestTokens), sharedBytes / sharedTokens stored once for all requests,
+// and wholeRequests when only whole slots can be used.
+function calculateKVLayout(model, engine = engineConfig) {
+  const tokens = getContextTokens(model);
+  const type = getEngineById(engine.engineId).kvLayout;
+  const layout = (requestTokens, sharedTokens = 0, wholeRequests = false) => {
+    const sharedBytes = calculateRequestKVBytes(model, sharedTokens);
+    // Shared prefix tokens still count toward a sliding window, so the
+    // unshared part never holds less than its own tokens
+    const bytesPerRequest = Math.max(
+      calculateRequestKVBytes(model, requestTokens) - sharedBytes,
+      calculateRequestKVBytes(model, requestTokens - sharedTokens)
+    );
+    return { type, bytesPerRequest, requestTokens, sharedBytes, sharedTokens, wholeRequests };
+  };
+
+  if (type === 'paged') {
+    const blockTokens = Math.max(1, engine.kvBlockTokens);
+    return layout(Math.ceil(tokens / blockTokens) * blockTokens);
+  }
+  if (type === 'slots') {
+    // A request longer than a slot needs a bigger one
+    return layout(Math.max(engine.kvSlotTokens || model.maxContext, tokens), 0, true);
+  }
+  if (type === 'radix') {
+    // Only the text prompt is shared; images differ per request. At least
+    // one token per request is never shared
+    return layout(tokens, Math.max(0, Math.min(tokens - 1, Math.round(model.defaultPromptTokens * engine.kvPrefixSharePct / 100))));
+  }
+  return layout(tokens);
+}
+
+// KV budget (GB, rounded up to 0.1) that holds `concurrent` requests
+function calculateKVBudgetFor(model, concurrent, engine = engineConfig) {
+  const layout = calculateKVLayout(model, engine);
+  return Math.ceil((layout.sharedBytes + concurrent * layout.bytesPerRequest) / 1e8) / 10;
+}
+
+function calculateMaxConcurrent(model, engine = engineConfig) {
+  if (calculateKVPerToken(model) === 0 || getContextTokens(model) === 0) return 0;
+
+  const layout = calculateKVLayout(model, engine);
+  const concurrent = Math.max(0, model.defaultKVBudget * 1e9 - layout.sharedBytes) / layout.bytesPerRequest;
+  return layout.wholeRequests ? Math.floor(concurrent) : concurrent;
+}
+
+// Context distribution; models saved before it had only the mean, so p95
+// falls back to it and the max to the context window
+function getContextP95(model) {
+  return model.defaultP95Tokens !== undefined ? model.defaultP95Tokens : model.defaultAvgTokens;
+}
+
+function getContextMax(model) {
+  return model.defaultMaxTokens !== undefined ? model.defaultMaxTokens : model.maxContext;
+}
+
+// Requests the KV budget holds if every request had `tokens` of text
+// context (plus its images)
+function calculateConcurrentAt(model, tokens, engine = engineConfig) {
+  return calculateMaxConcurrent(Object.assign({}, model, { defaultAvgTokens: tokens }), engine);
+}
+
+// Problems with the context distribution: out of order, past the context
+// window, or a longest request that doesn't fit in the KV budget
+function checkContextDistribution(model, engine = engineConfig) {
+  const warnings = [];
+  const p95 = getContextP95(model);
+  const max = getContextMax(model);
+  const imageTokens = calculateImageTokens(model);
+  if (max + imageTokens > model.maxContext) {
+    warnings.push('Max tokens/req (' + max.toLocaleString() + (imageTokens > 0 ? ' + ' + imageTokens.toLocaleString() + ' image' : '') +
+      ') exceeds the ' + model.maxContext.toLocaleString() + '-token context window.');
+  }
+  if (p95 > max) warnings.push('p95 tokens/req is above max tokens/req.');
+  if (model.defaultAvgTokens > p95) warnings.push('Avg tokens/req is above p95 tokens/req.');
+  if (calculateKVPerToken(model) > 0 && max > 0 && calculateConcurrentAt(model, max, engine) < 1) {
+    const neededGB = calculateKVBudgetFor(Object.assign({}, model, { defaultAvgTokens: max }), 1, engine);
+    warnings.push('The KV budget can\'t hold one request at max context (' + neededGB.toFixed(1) + ' GB needed, ' +
+      model.defaultKVBudget.toFixed(1) + ' GB budget).');
+  }
+  return warnings;
 }
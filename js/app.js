@@ -2,8 +2,24 @@
  * AI Hardware Planner - Application Logic
  *
  * Depends on:
- *   - data/hardware.js (HARDWARE, getHardwareById, getDefaultHardware)
+ *   - data/hardware.js (HARDWARE, CUSTOM_HARDWARE, getHardwareById, getDefaultHardware)
  *   - data/models.js (MODELS, getPrecisionLabel, calculateWeightsGB, etc.)
+ *   - js/placement.js (planPlacement, formatPlacement, describePlacementStrategy)
+ *   - js/engine.js (openEngineSettings, describeKVLayout)
+ *   - js/overhead.js (calculateOverheadComponents)
+ *   - js/compute.js (calculateTTFT, getPeakTflops, calculateDecodeStep, calculateStepKVReadGB, formatSeconds)
+ *   - js/details.js (openModelDetails, refreshModelDetails, formatQuality)
+ *   - js/optimizer.js (openOptimizer, runOptimizer)
+ *   - js/comparison.js (openComparison)
+ *   - js/simulator.js (openSimulator, runSimulator, closeSimulator)
+ *   - js/workload.js (loadWorkloadProfiles, openWorkloadImport, workloadProfiles, describeTokenSummary, etc.)
+ *   - js/hardware-editor.js (loadCustomHardware, openHardwareEditor)
+ *   - js/model-editor.js (loadCustomModels, openModelEditor)
+ *   - js/replicas.js (loadReplicaRows, addReplicaRow, removeReplicaRow, getReplicaGroup)
+ *   - js/scenarios.js (populateScenarioSelect, switchScenario, openScenarios)
+ *   - js/state.js (loadState, saveState)
+ *   - js/share.js (loadSharedPlan, copyShareLink)
+ *   - js/export.js (openExportDialog, exportPlan, importPlanFile)
  *   - Chart.js + chartjs-plugin-datalabels
  */
 
@@ -11,16 +27,35 @@
 let currentHardware = null;
 let vramChart = null;
 let bandwidthChart = null;
+let computeChart = null;
 let hoveredModelIndex = null;
-let bandwidthModelMapping = []; // Track which model each bandwidth slice belongs to
+let vramChartMapping = [];      // Track which model each VRAM chart element belongs to
+let bandwidthChartMapping = []; // Track which model each bandwidth chart element belongs to
+let computeChartMapping = [];   // Track which model each compute chart element belongs to
+
+const MODEL_COLORS = [
+  '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8',
+  '#F7DC6F', '#BB8FCE', '#85C1E2', '#F8B739', '#52B788'
+];
 
 // Initialize on DOM ready
 document.addEventListener('DOMContentLoaded', function() {
+  loadCustomHardware();
+  loadCustomModels();
+  loadReplicaRows();
+  loadWorkloadProfiles();
+  const hadSavedState = localStorage.getItem(STATE_KEY) !== null;
   loadState();
+  populateScenarioSelect();
   populateHardwareSelect();
   renderTable();
   updateDisplay();
 
+  // Plan shared via URL fragment (also when a link is pasted into an open tab)
+  loadSharedPlan(hadSavedState);
+  window.addEventListener('hashchange', () => loadSharedPlan(true));
+  document.getElementById('copyLinkButton').addEventListener('click', copyShareLink);
+
   // Hardware selector handler
   document.getElementById('hardwareSelect').addEventListener('change', function(e) {
     currentHardware = getHardwareById(e.target.value);
@@ -28,78 +63,119 @@ document.addEventListener('DOMContentLoaded', function() {
     renderTable();
     updateDisplay();
   });
-});
 
-// Local storage persistence
-function loadState() {
-  currentHardware = getDefaultHardware();
+  // Scenarios
+  document.getElementById('scenarioSelect').addEventListener('change', function(e) {
+    switchScenario(parseInt(e.target.value, 10));
+  });
+  document.getElementById('scenariosButton').addEventListener('click', openScenarios);
+  document.getElementById('scenarioForm').addEventListener('submit', addScenarioFromForm);
+  document.getElementById('diffScenarioA').addEventListener('change', renderScenarioDiff);
+  document.getElementById('diffScenarioB').addEventListener('change', renderScenarioDiff);
+
+  document.getElementById('dismissStateNotice').addEventListener('click', dismissStateNotice);
+
+  document.getElementById('closeModelDetails').addEventListener('click', closeModelDetails);
+
+  // Optimizer
+  document.getElementById('optimizeButton').addEventListener('click', openOptimizer);
+  document.getElementById('findPlanButton').addEventListener('click', openOptimizer);
+  document.getElementById('optimizerObjective').addEventListener('change', runOptimizer);
+
+  // Traffic simulator
+  document.getElementById('simulateButton').addEventListener('click', openSimulator);
+  document.getElementById('runSimulationButton').addEventListener('click', runSimulator);
+  document.getElementById('simulatorDialog').addEventListener('close', closeSimulator);
+
+  // Workload trace import
+  document.getElementById('workloadButton').addEventListener('click', openWorkloadImport);
+  document.getElementById('workloadFile').addEventListener('change', loadWorkloadFile);
+  document.getElementById('applyWorkloadButton').addEventListener('click', applyWorkloadGroups);
+
+  // Export / import
+  document.getElementById('exportButton').addEventListener('click', openExportDialog);
+  document.querySelectorAll('[data-export-format]').forEach(button => {
+    button.addEventListener('click', () => exportPlan(button.dataset.exportFormat));
+  });
+  document.getElementById('importFile').addEventListener('change', importPlanFile);
 
-  const saved = localStorage.getItem('aiHardwarePlannerState');
-  if (saved) {
-    try {
-      const state = JSON.parse(saved);
+  // Serving engine
+  document.getElementById('engineButton').addEventListener('click', openEngineSettings);
+  document.getElementById('engPreset').addEventListener('change', selectEnginePreset);
+  ['engContext', 'engBatchTokens', 'engFragmentation', 'engUtilization', 'engBlockTokens', 'engSlotTokens', 'engPrefixShare'].forEach(id => {
+    document.getElementById(id).addEventListener('input', updateEngineFromForm);
+  });
 
-      if (state.hardwareId) {
-        currentHardware = getHardwareById(state.hardwareId);
-      }
+  // Hardware comparison
+  document.getElementById('compareButton').addEventListener('click', openComparison);
 
-      if (state.models) {
-        state.models.forEach((savedModel, idx) => {
-          if (MODELS[idx]) {
-            MODELS[idx].enabled = savedModel.enabled;
-            MODELS[idx].defaultWeightBytes = savedModel.weightBytes;
-            MODELS[idx].defaultKvBytes = savedModel.kvBytes;
-            MODELS[idx].defaultKVBudget = savedModel.kvBudget;
-            MODELS[idx].defaultAvgTokens = savedModel.avgTokens;
-            MODELS[idx].defaultTargetTokensPerSec = savedModel.targetTokensPerSec;
-          }
-        });
-      }
-    } catch (e) {
-      console.warn('Failed to load saved state:', e);
-    }
-  }
-}
+  // Custom hardware editor
+  document.getElementById('editHardwareButton').addEventListener('click', openHardwareEditor);
+  document.getElementById('hardwareForm').addEventListener('submit', saveHardwareForm);
+  document.getElementById('newHardwareButton').addEventListener('click', resetHardwareForm);
 
-function saveState() {
-  const state = {
-    hardwareId: currentHardware.id,
-    models: MODELS.map(m => ({
-      enabled: m.enabled,
-      weightBytes: m.defaultWeightBytes,
-      kvBytes: m.defaultKvBytes,
-      kvBudget: m.defaultKVBudget,
-      avgTokens: m.defaultAvgTokens,
-      targetTokensPerSec: m.defaultTargetTokensPerSec
-    }))
-  };
-  localStorage.setItem('aiHardwarePlannerState', JSON.stringify(state));
-}
+  // Custom model editor
+  document.getElementById('addModelButton').addEventListener('click', openModelEditor);
+  document.getElementById('modelForm').addEventListener('submit', saveModelForm);
+  document.getElementById('newModelButton').addEventListener('click', resetModelForm);
+  document.getElementById('deriveConfigButton').addEventListener('click', deriveFromConfigText);
+  document.getElementById('configFile').addEventListener('change', loadConfigFile);
+
+  // Any dialog close button
+  document.querySelectorAll('[data-close-dialog]').forEach(button => {
+    button.addEventListener('click', () => button.closest('dialog').close());
+  });
+});
 
 // Populate hardware dropdown
 function populateHardwareSelect() {
   const select = document.getElementById('hardwareSelect');
   select.innerHTML = '';
 
-  HARDWARE.forEach(hw => {
+  const addOption = (parent, hw) => {
     const option = document.createElement('option');
     option.value = hw.id;
     option.textContent = `${hw.name} (${hw.vram}GB, ${hw.bandwidth} GB/s)`;
     if (hw.id === currentHardware.id) {
       option.selected = true;
     }
-    select.appendChild(option);
-  });
+    parent.appendChild(option);
+  };
+
+  HARDWARE.forEach(hw => addOption(select, hw));
+
+  // User-defined profiles go in their own group
+  if (CUSTOM_HARDWARE.length > 0) {
+    const group = document.createElement('optgroup');
+    group.label = 'Custom';
+    CUSTOM_HARDWARE.forEach(hw => addOption(group, hw));
+    select.appendChild(group);
+  }
 }
 
 // Calculation functions
-function calculateBandwidth(model) {
-  // Bandwidth (GB/s) = Active Weights (GB) * Target tokens/sec
-  // During decode, we read active weights for each token
-  // For MoE models, only activeParams are read per token
-  const activeParams = model.activeParams || model.baseParams;
-  const activeWeightsGB = (activeParams * model.defaultWeightBytes) / 1e9;
-  return activeWeightsGB * model.defaultTargetTokensPerSec;
+function calculateBandwidth(model, engine = engineConfig) {
+  // Bandwidth (GB/s) = Reads per decode step (GB) * Target tokens/sec
+  // Each step decodes one token for every request in the batch (Max
+  // Concurrent), reading the weights once plus each request's KV cache.
+  // MoE models read their shared weights plus every expert the batch
+  // routes to, which grows with concurrency (see calculateStepWeightReads)
+  // Encoders read the weights once per batch of items instead
+  if (isEncoderModel(model)) {
+    const reads = calculateStepWeightReads(model, getEncoderBatch(model));
+    return (reads.vramGB * getEncoderItemsPerSec(model)) / getEncoderBatch(model);
+  }
+  // With a draft model a step also reads the draft k times but yields
+  // tokensPerStep tokens, so fewer steps are needed (see calculateStepReads)
+  const reads = calculateStepReads(model, getDecodeBatch(model, engine));
+  const stepGB = reads.vramGB + reads.kvGB + reads.draftGB;
+  return (stepGB * model.defaultTargetTokensPerSec) / reads.tokensPerStep;
+}
+
+// PCIe traffic (GB/s) from streaming offloaded experts into VRAM
+function calculatePcieTraffic(model, engine = engineConfig) {
+  const reads = calculateStepReads(model, getDecodeBatch(model, engine));
+  return (reads.offloadGB * model.defaultTargetTokensPerSec) / reads.tokensPerStep;
 }
 
 function calculateBandwidthPercent(model) {
@@ -115,11 +191,142 @@ function formatBytes(bytes) {
   return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
 }
 
+// Tooltip for the Weights cell of MoE models
+function describeOffload(model) {
+  if (!model.moe) return '';
+  const batch = getDecodeBatch(model);
+  let text = calculateDistinctExperts(model, batch).toFixed(1) + ' of ' + model.moe.experts +
+    ' experts per layer touched per step at ' + batch.toFixed(1) + ' concurrent requests';
+  const offloadedGB = calculateOffloadedWeightsGB(model);
+  if (offloadedGB > 0) {
+    text += '; ' + offloadedGB.toFixed(1) + ' GB of experts in CPU RAM, streaming ' +
+      calculatePcieTraffic(model).toFixed(1) + ' GB/s over PCIe';
+  }
+  return text;
+}
+
+// Weights per copy, with the replica count when there are several
+function formatWeights(model) {
+  const replicas = getReplicaCount(model);
+  return formatGB(calculateWeightsGB(model)) + (replicas > 1 ? ' ×' + replicas : '');
+}
+
+// Tooltip for the Weights cell: replicas, expert offload and the vision encoder
+function describeWeights(model) {
+  const replicas = getReplicaCount(model);
+  const lines = [replicas > 1 ? (calculateWeightsGB(model) * replicas).toFixed(2) + ' GB across ' + replicas + ' replicas' : '',
+    describeOffload(model)];
+  if (model.vision) {
+    lines.push('Includes ' + calculateVisionWeightsGB(model).toFixed(2) + ' GB vision encoder (' +
+      (model.vision.encoderParams / 1e9).toFixed(2) + 'B params at ' + getPrecisionLabel(VISION_ENCODER_BYTES) + ')');
+  }
+  const draft = getDraftModel(model);
+  if (draft) {
+    lines.push('Includes ' + calculateDraftWeightsGB(model).toFixed(2) + ' GB draft model (' + draft.name + ' at ' +
+      getPrecisionLabel(draft.defaultWeightBytes) + ')');
+  }
+  return lines.filter(line => line).join('\n');
+}
+
+function formatTokensPerSec(tokensPerSec) {
+  return tokensPerSec >= 100 ? tokensPerSec.toFixed(0) : tokensPerSec.toFixed(1);
+}
+
+// Tooltip for the decode cell
+function describeDecodeStep(step) {
+  let text = 'Step ' + (step.seconds * 1000).toFixed(1) + ' ms at ' + step.batch.toFixed(1) + ' concurrent requests: ' +
+    step.weightsGB.toFixed(1) + ' GB weights + ' + step.kvGB.toFixed(1) + ' GB KV cache at ' + step.bandwidth.toFixed(0) + ' GB/s';
+  if (step.offloadGB > 0) text += ' + ' + step.offloadGB.toFixed(1) + ' GB of experts over PCIe';
+  if (step.draftTokens > 0) {
+    text += ', plus ' + step.draftGB.toFixed(1) + ' GB for ' + step.draftTokens + ' draft steps, yielding ' +
+      step.tokensPerStep.toFixed(2) + ' tokens per request per step';
+  }
+  return text + ' (with its GPUs to itself; see the bandwidth chart for shared GPUs)';
+}
+
+// Tooltip for an encoder's decode cell
+function describeEncoderPass(model, pass) {
+  const limit = pass.computeSeconds >= pass.weightReadSeconds ? 'compute-bound' : 'bound by reading ' +
+    pass.weightsGB.toFixed(1) + ' GB of weights at ' + pass.bandwidth.toFixed(0) + ' GB/s';
+  return 'Batch of ' + pass.batch + ' ' + getEncoderItemUnit(model) + ' every ' + (pass.seconds * 1000).toFixed(1) + ' ms, ' +
+    limit + ' (with its GPUs to itself; see the compute chart for shared GPUs)';
+}
+
+// Tooltip for a vision model's image tokens
+function describeImageTokens(model) {
+  const vision = model.vision;
+  let text = calculateTokensPerImage(model).toLocaleString() + ' tokens per ' + model.defaultImageWidth + '×' +
+    model.defaultImageHeight + ' image';
+  if (vision.tokensPerImage) return text + ' (fixed)';
+  const merge = vision.mergeSize || 1;
+  text += ' (' + vision.patchSize + ' px patches' + (merge > 1 ? ', ' + merge + '×' + merge + ' merged per token' : '');
+  if (vision.tileSize) text += ', ' + vision.tileSize + ' px tiles';
+  return text + ')';
+}
+
+// Tooltip for the LoRA adapter memory
+function describeLora(model) {
+  return (calculateLoraAdapterGB(model) * 1000).toFixed(1) + ' MB per adapter (' +
+    (calculateLoraParams(model) / 1e6).toFixed(1) + 'M params, rank ' + getLoraRank(model) + ' on ' +
+    LORA_TARGETS[getLoraTargets(model)].label + ') × ' + getLoraAdapters(model) + ' resident + ' +
+    getLoraSlots(model) + ' hot-swap slots';
+}
+
+function formatConcurrent(concurrent) {
+  return concurrent >= 10 ? concurrent.toFixed(0) : concurrent.toFixed(2);
+}
+
+// Tooltip for the worst-case concurrency cell
+function describeContextFit(model, warnings) {
+  let text = '';
+  if (calculateMaxConcurrent(model) > 0) {
+    text = 'Requests the KV budget holds if all were ' + getContextP95(model).toLocaleString() + ' (p95) / ' +
+      getContextMax(model).toLocaleString() + ' (max) tokens, vs ' + calculateMaxConcurrent(model).toFixed(2) +
+      ' at the ' + model.defaultAvgTokens.toLocaleString() + '-token average' +
+      (calculateImageTokens(model) > 0 ? ' (plus ' + calculateImageTokens(model).toLocaleString() + ' image tokens each)' : '');
+  }
+  return [text].concat(warnings).filter(line => line).join('\n');
+}
+
 function formatGB(gb) {
   if (gb === 0) return 'N/A';
   return gb.toFixed(2) + ' GB';
 }
 
+// DOM helpers
+function addActionButton(cell, label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'button small';
+  button.textContent = label;
+  button.onclick = onClick;
+  cell.appendChild(button);
+  return button;
+}
+
+// Small unit label under a table cell's input
+function addCellUnit(cell, text) {
+  const unit = document.createElement('span');
+  unit.className = 'cell-unit';
+  unit.textContent = text;
+  cell.appendChild(unit);
+}
+
+// Fills a <ul> of form or file errors; an empty list clears it
+function showErrorList(listId, errors) {
+  const list = document.getElementById(listId);
+  list.innerHTML = '';
+  errors.forEach(error => {
+    list.appendChild(document.createElement('li')).textContent = error;
+  });
+}
+
+// Number from an input; empty fields become null
+function readNumberInput(id) {
+  const value = document.getElementById(id).value.trim();
+  return value === '' ? null : parseFloat(value);
+}
+
 // Render the model table
 function renderTable() {
   const tbody = document.getElementById('modelTableBody');
@@ -129,6 +336,11 @@ function renderTable() {
     const row = tbody.insertRow();
     row.dataset.modelIndex = idx;
 
+    // Clicking anywhere but an input opens the details panel
+    row.addEventListener('click', event => {
+      if (!event.target.closest('input, select, button')) openModelDetails(idx);
+    });
+
     // Enable checkbox
     const enableCell = row.insertCell();
     const checkbox = document.createElement('input');
@@ -141,12 +353,35 @@ function renderTable() {
     };
     enableCell.appendChild(checkbox);
 
-    // Model name
-    row.insertCell().textContent = model.name;
+    // Model name, with a button to add a replica row (or remove this one)
+    const nameCell = row.insertCell();
+    nameCell.textContent = model.name;
+    nameCell.className = model.replicaOf ? 'model-name replica' : 'model-name';
+    if (model.replicaOf) {
+      addActionButton(nameCell, '×', () => removeReplicaRow(model.id)).title = 'Remove this replica row';
+    } else {
+      addActionButton(nameCell, '+', () => addReplicaRow(idx)).title = 'Add a replica row with its own precision and KV settings';
+    }
 
     // Type
     row.insertCell().textContent = model.type;
 
+    // Identical copies of this row
+    const replicasCell = row.insertCell();
+    const replicasInput = document.createElement('input');
+    replicasInput.type = 'number';
+    replicasInput.step = '1';
+    replicasInput.min = '1';
+    replicasInput.max = String(MAX_REPLICAS);
+    replicasInput.value = getReplicaCount(model);
+    replicasInput.title = 'Copies served side by side, each with its own weights, KV budget and traffic';
+    replicasInput.oninput = () => {
+      model.defaultReplicas = Math.min(MAX_REPLICAS, Math.max(1, parseInt(replicasInput.value) || 1));
+      saveState();
+      updateDisplay();
+    };
+    replicasCell.appendChild(replicasInput);
+
     // Weight precision selector
     const weightBytesCell = row.insertCell();
     const weightBytesSelect = document.createElement('select');
@@ -167,8 +402,119 @@ function renderTable() {
 
     // Weights size (calculated)
     const weightsCell = row.insertCell();
-    weightsCell.className = 'readonly';
-    weightsCell.textContent = formatGB(calculateWeightsGB(model));
+    weightsCell.className = 'readonly weights';
+    weightsCell.textContent = formatWeights(model);
+    weightsCell.title = describeWeights(model);
+
+    // Experts offloaded to CPU RAM (MoE models with expert fields only)
+    const offloadCell = row.insertCell();
+    if (model.moe) {
+      const offloadInput = document.createElement('input');
+      offloadInput.type = 'number';
+      offloadInput.step = '5';
+      offloadInput.min = '0';
+      offloadInput.max = '100';
+      offloadInput.value = model.defaultOffloadPct || 0;
+      offloadInput.oninput = () => {
+        model.defaultOffloadPct = Math.min(100, Math.max(0, parseFloat(offloadInput.value) || 0));
+        saveState();
+        updateDisplay();
+      };
+      offloadCell.appendChild(offloadInput);
+    } else {
+      offloadCell.textContent = 'N/A';
+      offloadCell.className = 'readonly';
+    }
+
+    // LoRA adapters: resident count and hot-swap slots, then the rank,
+    // adapted projections and precision that size each one
+    const loraCell = row.insertCell();
+    const loraConfigCell = row.insertCell();
+    if (supportsLora(model)) {
+      const countInputs = document.createElement('div');
+      countInputs.className = 'input-pair';
+      [['defaultLoraAdapters', 'Adapters kept resident in VRAM'], ['defaultLoraSlots', 'Slots for adapters hot-swapped from CPU RAM']]
+        .forEach(([field, label], i) => {
+          if (i > 0) countInputs.appendChild(document.createTextNode('+'));
+          const countInput = document.createElement('input');
+          countInput.type = 'number';
+          countInput.step = '1';
+          countInput.min = '0';
+          countInput.value = model[field] || 0;
+          countInput.title = label;
+          countInput.oninput = () => {
+            model[field] = Math.max(0, parseInt(countInput.value) || 0);
+            saveState();
+            updateDisplay();
+          };
+          countInputs.appendChild(countInput);
+        });
+      loraCell.appendChild(countInputs);
+      const loraGB = document.createElement('span');
+      loraGB.className = 'cell-unit lora-gb';
+      loraCell.appendChild(loraGB);
+
+      const configInputs = document.createElement('div');
+      configInputs.className = 'input-pair';
+      const rankInput = document.createElement('input');
+      rankInput.type = 'number';
+      rankInput.step = '8';
+      rankInput.min = '1';
+      rankInput.value = getLoraRank(model);
+      rankInput.title = 'Adapter rank';
+      rankInput.oninput = () => {
+        model.defaultLoraRank = Math.max(1, parseInt(rankInput.value) || 1);
+        saveState();
+        updateDisplay();
+      };
+      configInputs.appendChild(rankInput);
+      const targetsSelect = document.createElement('select');
+      targetsSelect.title = 'Adapted projections';
+      Object.keys(LORA_TARGETS).forEach(key => {
+        const opt = document.createElement('option');
+        opt.value = key;
+        opt.textContent = LORA_TARGETS[key].label;
+        if (key === getLoraTargets(model)) opt.selected = true;
+        targetsSelect.appendChild(opt);
+      });
+      targetsSelect.onchange = () => {
+        model.defaultLoraTargets = targetsSelect.value;
+        saveState();
+        updateDisplay();
+      };
+      configInputs.appendChild(targetsSelect);
+      loraConfigCell.appendChild(configInputs);
+      const loraBytesSelect = document.createElement('select');
+      loraBytesSelect.title = 'Adapter precision';
+      [2, 1].forEach(option => {
+        const opt = document.createElement('option');
+        opt.value = option;
+        opt.textContent = option + ' (' + getPrecisionLabel(option) + ')';
+        if (option === getLoraBytes(model)) opt.selected = true;
+        loraBytesSelect.appendChild(opt);
+      });
+      loraBytesSelect.onchange = () => {
+        model.defaultLoraBytes = parseFloat(loraBytesSelect.value);
+        saveState();
+        updateDisplay();
+      };
+      loraConfigCell.appendChild(loraBytesSelect);
+    } else {
+      loraCell.textContent = 'N/A';
+      loraCell.className = 'readonly';
+      loraConfigCell.textContent = 'N/A';
+      loraConfigCell.className = 'readonly';
+    }
+
+    // Quality at the selected weight precision
+    const qualityCell = row.insertCell();
+    const quality = calculateQualityScore(model);
+    qualityCell.className = 'readonly quality';
+    qualityCell.textContent = formatQuality(quality);
+    if (quality) {
+      qualityCell.classList.add('clickable');
+      qualityCell.title = 'Average of ' + quality.count + ' benchmarks at ' + getPrecisionLabel(model.defaultWeightBytes);
+    }
 
     // KV precision selector
     const kvBytesCell = row.insertCell();
@@ -195,22 +541,29 @@ function renderTable() {
 
     // KV/Token (calculated)
     const kvTokenCell = row.insertCell();
-    kvTokenCell.className = 'readonly';
+    kvTokenCell.className = 'readonly kv-token';
     kvTokenCell.textContent = formatBytes(calculateKVPerToken(model));
+    kvTokenCell.title = describeAttention(model);
 
-    // KV Budget input
+    // KV Budget input (encoders keep no KV cache)
+    const encoder = isEncoderModel(model);
     const kvBudgetCell = row.insertCell();
-    const kvBudgetInput = document.createElement('input');
-    kvBudgetInput.type = 'number';
-    kvBudgetInput.step = '0.1';
-    kvBudgetInput.min = '0';
-    kvBudgetInput.value = model.defaultKVBudget;
-    kvBudgetInput.oninput = () => {
-      model.defaultKVBudget = parseFloat(kvBudgetInput.value) || 0;
-      saveState();
-      updateDisplay();
-    };
-    kvBudgetCell.appendChild(kvBudgetInput);
+    if (encoder) {
+      kvBudgetCell.textContent = 'N/A';
+      kvBudgetCell.className = 'readonly';
+    } else {
+      const kvBudgetInput = document.createElement('input');
+      kvBudgetInput.type = 'number';
+      kvBudgetInput.step = '0.1';
+      kvBudgetInput.min = '0';
+      kvBudgetInput.value = model.defaultKVBudget;
+      kvBudgetInput.oninput = () => {
+        model.defaultKVBudget = parseFloat(kvBudgetInput.value) || 0;
+        saveState();
+        updateDisplay();
+      };
+      kvBudgetCell.appendChild(kvBudgetInput);
+    }
 
     // Avg Tokens/Req input
     const avgTokensCell = row.insertCell();
@@ -219,6 +572,13 @@ function renderTable() {
     avgTokensInput.step = '1024';
     avgTokensInput.min = '0';
     avgTokensInput.value = model.defaultAvgTokens;
+    const workload = workloadProfiles[model.id];
+    if (workload) {
+      avgTokensInput.title = 'Imported from ' + workload.fileName + ': context ' + describeTokenSummary(workload.context) +
+        ' over ' + workload.requests.toLocaleString() + ' requests';
+    } else if (encoder) {
+      avgTokensInput.title = 'Sequence length: tokens per ' + getEncoderItemUnit(model).replace(/s$/, '');
+    }
     avgTokensInput.oninput = () => {
       model.defaultAvgTokens = parseInt(avgTokensInput.value) || 0;
       saveState();
@@ -226,26 +586,223 @@ function renderTable() {
     };
     avgTokensCell.appendChild(avgTokensInput);
 
-    // Max Concurrent (calculated)
+    // p95 and max context per request (checked against maxContext and the KV budget)
+    const p95TokensCell = row.insertCell();
+    const p95TokensInput = document.createElement('input');
+    p95TokensInput.type = 'number';
+    p95TokensInput.step = '1024';
+    p95TokensInput.min = '0';
+    p95TokensInput.value = getContextP95(model);
+    p95TokensInput.oninput = () => {
+      model.defaultP95Tokens = parseInt(p95TokensInput.value) || 0;
+      saveState();
+      updateDisplay();
+    };
+    p95TokensCell.appendChild(p95TokensInput);
+
+    const maxTokensCell = row.insertCell();
+    const maxTokensInput = document.createElement('input');
+    maxTokensInput.type = 'number';
+    maxTokensInput.step = '1024';
+    maxTokensInput.min = '0';
+    maxTokensInput.value = getContextMax(model);
+    maxTokensInput.title = 'Model context window: ' + model.maxContext.toLocaleString() + ' tokens';
+    maxTokensInput.oninput = () => {
+      model.defaultMaxTokens = parseInt(maxTokensInput.value) || 0;
+      saveState();
+      updateDisplay();
+    };
+    maxTokensCell.appendChild(maxTokensInput);
+
+    // Prompt Tokens input (encoders don't generate, so have no prefill)
+    const promptTokensCell = row.insertCell();
+    if (encoder) {
+      promptTokensCell.textContent = 'N/A';
+      promptTokensCell.className = 'readonly';
+    } else {
+      const promptTokensInput = document.createElement('input');
+      promptTokensInput.type = 'number';
+      promptTokensInput.step = '512';
+      promptTokensInput.min = '0';
+      promptTokensInput.value = model.defaultPromptTokens;
+      promptTokensInput.oninput = () => {
+        model.defaultPromptTokens = parseInt(promptTokensInput.value) || 0;
+        saveState();
+        updateDisplay();
+      };
+      promptTokensCell.appendChild(promptTokensInput);
+    }
+
+    // Images per request and their resolution (vision models only)
+    const imagesCell = row.insertCell();
+    const imageSizeCell = row.insertCell();
+    if (model.vision) {
+      const imagesInput = document.createElement('input');
+      imagesInput.type = 'number';
+      imagesInput.step = '1';
+      imagesInput.min = '0';
+      imagesInput.value = getImagesPerRequest(model);
+      imagesInput.oninput = () => {
+        model.defaultImagesPerRequest = Math.max(0, parseInt(imagesInput.value) || 0);
+        saveState();
+        updateDisplay();
+      };
+      imagesCell.appendChild(imagesInput);
+      const imageTokens = document.createElement('span');
+      imageTokens.className = 'cell-unit image-tokens';
+      imagesCell.appendChild(imageTokens);
+
+      const sizeInputs = document.createElement('div');
+      sizeInputs.className = 'input-pair';
+      [['defaultImageWidth', 'Width'], ['defaultImageHeight', 'Height']].forEach(([field, label], i) => {
+        if (i > 0) sizeInputs.appendChild(document.createTextNode('×'));
+        const sizeInput = document.createElement('input');
+        sizeInput.type = 'number';
+        sizeInput.step = '64';
+        sizeInput.min = '1';
+        sizeInput.value = model[field];
+        sizeInput.title = label + ' in pixels';
+        sizeInput.oninput = () => {
+          model[field] = Math.max(1, parseInt(sizeInput.value) || 1);
+          saveState();
+          updateDisplay();
+        };
+        sizeInputs.appendChild(sizeInput);
+      });
+      imageSizeCell.appendChild(sizeInputs);
+    } else {
+      imagesCell.textContent = 'N/A';
+      imagesCell.className = 'readonly';
+      imageSizeCell.textContent = 'N/A';
+      imageSizeCell.className = 'readonly';
+    }
+
+    // Max Concurrent (calculated); encoders take their batch size here
     const maxConcurrentCell = row.insertCell();
-    maxConcurrentCell.className = 'readonly';
-    maxConcurrentCell.dataset.modelIndex = idx;
-    const maxConcurrent = calculateMaxConcurrent(model);
-    maxConcurrentCell.textContent = maxConcurrent === 0 ? 'N/A' : maxConcurrent.toFixed(2);
+    if (encoder) {
+      const batchInput = document.createElement('input');
+      batchInput.type = 'number';
+      batchInput.step = '8';
+      batchInput.min = '1';
+      batchInput.value = getEncoderBatch(model);
+      batchInput.title = getEncoderItemUnit(model) + ' per forward pass';
+      batchInput.oninput = () => {
+        model.defaultEncoderBatch = Math.max(1, parseInt(batchInput.value) || 1);
+        saveState();
+        updateDisplay();
+      };
+      maxConcurrentCell.appendChild(batchInput);
+      addCellUnit(maxConcurrentCell, 'batch');
+    } else {
+      maxConcurrentCell.className = 'readonly';
+      maxConcurrentCell.dataset.modelIndex = idx;
+      const maxConcurrent = calculateMaxConcurrent(model);
+      maxConcurrentCell.textContent = maxConcurrent === 0 ? 'N/A' : maxConcurrent.toFixed(2);
+      maxConcurrentCell.title = describeKVLayout(model);
+    }
 
-    // Target tokens/sec input
+    // Concurrency if every request were p95 / max length (filled in by updateCalculatedCells)
+    const contextFitCell = row.insertCell();
+    contextFitCell.className = 'readonly context-fit';
+
+    // Target tokens/sec input; encoders take documents, pairs or texts per second
     const targetTokensCell = row.insertCell();
     const targetTokensInput = document.createElement('input');
     targetTokensInput.type = 'number';
     targetTokensInput.step = '5';
     targetTokensInput.min = '0';
-    targetTokensInput.value = model.defaultTargetTokensPerSec;
-    targetTokensInput.oninput = () => {
-      model.defaultTargetTokensPerSec = parseInt(targetTokensInput.value) || 0;
-      saveState();
-      updateDisplay();
-    };
+    if (encoder) {
+      targetTokensInput.value = getEncoderItemsPerSec(model);
+      targetTokensInput.title = getEncoderItemUnit(model) + ' to encode per second, ' +
+        model.defaultAvgTokens.toLocaleString() + ' tokens each';
+      targetTokensInput.oninput = () => {
+        model.defaultItemsPerSec = parseFloat(targetTokensInput.value) || 0;
+        saveState();
+        updateDisplay();
+      };
+    } else {
+      targetTokensInput.value = model.defaultTargetTokensPerSec;
+      targetTokensInput.oninput = () => {
+        model.defaultTargetTokensPerSec = parseInt(targetTokensInput.value) || 0;
+        saveState();
+        updateDisplay();
+      };
+    }
     targetTokensCell.appendChild(targetTokensInput);
+    if (encoder) addCellUnit(targetTokensCell, getEncoderItemUnit(model) + '/s');
+
+    // Draft model for speculative decoding, with its acceptance rate and
+    // tokens drafted per step once one is chosen
+    const draftCell = row.insertCell();
+    const candidates = encoder ? [] : getDraftCandidates(model);
+    if (candidates.length > 0) {
+      const draft = getDraftModel(model);
+      const draftSelect = document.createElement('select');
+      [{ id: '', name: 'None' }].concat(candidates).forEach(candidate => {
+        const opt = document.createElement('option');
+        opt.value = candidate.id;
+        opt.textContent = candidate.name;
+        if (candidate.id === (draft ? draft.id : '')) opt.selected = true;
+        draftSelect.appendChild(opt);
+      });
+      draftSelect.onchange = () => {
+        model.defaultDraftModelId = draftSelect.value || null;
+        saveState();
+        renderTable();
+        updateDisplay();
+      };
+      draftCell.appendChild(draftSelect);
+
+      if (draft) {
+        const draftInputs = document.createElement('div');
+        draftInputs.className = 'input-pair';
+        const acceptanceInput = document.createElement('input');
+        acceptanceInput.type = 'number';
+        acceptanceInput.step = '5';
+        acceptanceInput.min = '0';
+        acceptanceInput.max = '100';
+        acceptanceInput.value = getAcceptanceRate(model) * 100;
+        acceptanceInput.title = 'Acceptance rate (%) of drafted tokens';
+        acceptanceInput.oninput = () => {
+          model.defaultAcceptancePct = Math.min(100, Math.max(0, parseFloat(acceptanceInput.value) || 0));
+          saveState();
+          updateDisplay();
+        };
+        draftInputs.appendChild(acceptanceInput);
+        draftInputs.appendChild(document.createTextNode('%'));
+        const draftTokensInput = document.createElement('input');
+        draftTokensInput.type = 'number';
+        draftTokensInput.step = '1';
+        draftTokensInput.min = '1';
+        draftTokensInput.value = getDraftTokens(model);
+        draftTokensInput.title = 'Tokens drafted per step';
+        draftTokensInput.oninput = () => {
+          model.defaultDraftTokens = Math.max(1, parseInt(draftTokensInput.value) || 1);
+          saveState();
+          updateDisplay();
+        };
+        draftInputs.appendChild(draftTokensInput);
+        draftCell.appendChild(draftInputs);
+        const speedup = document.createElement('span');
+        speedup.className = 'cell-unit draft-speedup';
+        draftCell.appendChild(speedup);
+      }
+    } else {
+      draftCell.textContent = 'N/A';
+      draftCell.className = 'readonly';
+    }
+
+    // Achievable decode rate (depends on placement, filled in by updateCalculatedCells)
+    const decodeCell = row.insertCell();
+    decodeCell.className = 'readonly decode';
+
+    // TTFT (depends on placement, filled in by updateCalculatedCells)
+    const ttftCell = row.insertCell();
+    ttftCell.className = 'readonly ttft';
+
+    // Placement (filled in by updateCalculatedCells once all models are placed)
+    const placementCell = row.insertCell();
+    placementCell.className = 'readonly placement';
   });
 
   // Add hover handlers after all rows are created
@@ -257,31 +814,9 @@ function renderTable() {
 
         // Highlight chart slices for this model if charts are visible
         if (document.getElementById('chartsContainer').style.display !== 'none') {
-          const modelName = MODELS[idx].name;
-
-          // Highlight VRAM chart
-          if (vramChart && vramChart.data) {
-            const vramActiveElements = [];
-            vramChart.data.labels.forEach((label, i) => {
-              if (label.startsWith(modelName)) {
-                vramActiveElements.push({element: vramChart.getDatasetMeta(0).data[i], datasetIndex: 0, index: i});
-              }
-            });
-            vramChart.setActiveElements(vramActiveElements);
-            vramChart.update('none');
-          }
-
-          // Highlight Bandwidth chart
-          if (bandwidthChart && bandwidthChart.data) {
-            const bandwidthActiveElements = [];
-            bandwidthChart.data.labels.forEach((label, i) => {
-              if (label === modelName) {
-                bandwidthActiveElements.push({element: bandwidthChart.getDatasetMeta(0).data[i], datasetIndex: 0, index: i});
-              }
-            });
-            bandwidthChart.setActiveElements(bandwidthActiveElements);
-            bandwidthChart.update('none');
-          }
+          setChartHighlight(vramChart, vramChartMapping, idx);
+          setChartHighlight(bandwidthChart, bandwidthChartMapping, idx);
+          setChartHighlight(computeChart, computeChartMapping, idx);
         }
       });
 
@@ -289,14 +824,9 @@ function renderTable() {
         hoveredModelIndex = null;
         clearTableHighlight();
         if (document.getElementById('chartsContainer').style.display !== 'none') {
-          if (vramChart) {
-            vramChart.setActiveElements([]);
-            vramChart.update('none');
-          }
-          if (bandwidthChart) {
-            bandwidthChart.setActiveElements([]);
-            bandwidthChart.update('none');
-          }
+          setChartHighlight(vramChart, vramChartMapping, null);
+          setChartHighlight(bandwidthChart, bandwidthChartMapping, null);
+          setChartHighlight(computeChart, computeChartMapping, null);
         }
       });
     });
@@ -304,7 +834,7 @@ function renderTable() {
 }
 
 // Update calculated readonly cells without re-rendering table
-function updateCalculatedCells() {
+function updateCalculatedCells(plan) {
   document.querySelectorAll('#modelTableBody tr').forEach(row => {
     const modelIdx = parseInt(row.dataset.modelIndex);
     if (!isNaN(modelIdx) && MODELS[modelIdx]) {
@@ -315,6 +845,100 @@ function updateCalculatedCells() {
       if (maxConcurrentCell) {
         const maxConcurrent = calculateMaxConcurrent(model);
         maxConcurrentCell.textContent = maxConcurrent === 0 ? 'N/A' : maxConcurrent.toFixed(2);
+        maxConcurrentCell.title = describeKVLayout(model);
+      }
+
+      // Update adapter memory under the LoRA inputs
+      const loraLabel = row.querySelector('.lora-gb');
+      if (loraLabel) {
+        loraLabel.textContent = calculateLoraGB(model).toFixed(2) + ' GB';
+        loraLabel.title = describeLora(model);
+      }
+
+      // Update image tokens under the Images/Req input
+      const imageTokensLabel = row.querySelector('.image-tokens');
+      if (imageTokensLabel) {
+        imageTokensLabel.textContent = calculateImageTokens(model).toLocaleString() + ' tokens';
+        imageTokensLabel.title = describeImageTokens(model);
+      }
+
+      // Update tokens per step under the draft model inputs
+      const speedupLabel = row.querySelector('.draft-speedup');
+      if (speedupLabel) {
+        speedupLabel.textContent = calculateTokensPerStep(model).toFixed(2) + ' tok/step';
+        speedupLabel.title = 'Tokens each target pass yields on average; see the details panel for the bandwidth saved';
+      }
+
+      // Update worst-case concurrency cell
+      const contextFitCell = row.querySelector('.context-fit');
+      if (contextFitCell) {
+        const warnings = checkContextDistribution(model);
+        contextFitCell.textContent = calculateMaxConcurrent(model) === 0 ? 'N/A' :
+          formatConcurrent(calculateConcurrentAt(model, getContextP95(model))) + ' / ' +
+          formatConcurrent(calculateConcurrentAt(model, getContextMax(model)));
+        contextFitCell.classList.toggle('bw-high', warnings.length > 0);
+        contextFitCell.title = describeContextFit(model, warnings);
+      }
+
+      // Update Weights cell (offloaded experts don't count)
+      const weightsCell = row.querySelector('.weights');
+      if (weightsCell) {
+        weightsCell.textContent = formatWeights(model);
+        weightsCell.title = describeWeights(model);
+      }
+
+      // Update KV/Token cell (sliding windows depend on Avg Tokens/Req)
+      const kvTokenCell = row.querySelector('.kv-token');
+      if (kvTokenCell) {
+        kvTokenCell.textContent = formatBytes(calculateKVPerToken(model));
+        kvTokenCell.title = describeAttention(model);
+      }
+
+      // Update Placement cell
+      const placementCell = row.querySelector('.placement');
+      if (placementCell) {
+        const placement = model.enabled ? plan.placements[modelIdx] : null;
+        placementCell.textContent = formatPlacement(placement);
+        placementCell.title = describePlacementStrategy(placement, currentHardware);
+        placementCell.classList.toggle('bw-high', !!placement && placement.strategy === 'none');
+      }
+
+      // Update decode cell (sharded models read from all of their GPUs);
+      // encoders show the items/s they can encode instead
+      const decodeCell = row.querySelector('.decode');
+      if (decodeCell && isEncoderModel(model)) {
+        const placement = plan.placements[modelIdx];
+        const shards = placement && placement.gpus.length > 0 ? placement.gpus.length : 1;
+        const pass = calculateEncoderPass(model, currentHardware, shards);
+        decodeCell.textContent = formatTokensPerSec(pass.itemsPerSec) + ' ' + getEncoderItemUnit(model) + '/s max';
+        decodeCell.classList.toggle('bw-high', pass.itemsPerSec < getEncoderItemsPerSec(model));
+        decodeCell.title = describeEncoderPass(model, pass);
+      } else if (decodeCell) {
+        const placement = plan.placements[modelIdx];
+        const shards = placement && placement.gpus.length > 0 ? placement.gpus.length : 1;
+        const step = calculateDecodeStep(model, currentHardware, shards);
+        // Encoders and models without a KV budget don't decode
+        const decodes = calculateMaxConcurrent(model) > 0;
+        // Total covers every replica
+        const replicas = getReplicaCount(model);
+        decodeCell.textContent = decodes
+          ? formatTokensPerSec(step.perUserTokensPerSec) + ' / ' + formatTokensPerSec(step.aggregateTokensPerSec * replicas)
+          : 'N/A';
+        decodeCell.classList.toggle('bw-high', decodes && step.perUserTokensPerSec < model.defaultTargetTokensPerSec);
+        decodeCell.title = decodes ? describeDecodeStep(step) + (replicas > 1 ? '; total across ' + replicas + ' replicas' : '') : '';
+      }
+
+      // Update TTFT cell (sharded models prefill on all of their GPUs)
+      const ttftCell = row.querySelector('.ttft');
+      if (ttftCell) {
+        const placement = plan.placements[modelIdx];
+        const shards = placement && placement.gpus.length > 0 ? placement.gpus.length : 1;
+        ttftCell.textContent = formatSeconds(calculateTTFT(model, currentHardware, shards));
+        ttftCell.title = isEncoderModel(model)
+          ? 'Time to encode a batch of ' + getEncoderBatch(model) + ' ' + getEncoderItemUnit(model) + ' at ' +
+            getTflopsPrecisionLabel(currentHardware, model.defaultWeightBytes)
+          : (calculatePrefillFlops(model) / 1e12).toFixed(1) + ' TFLOP per prompt at ' +
+            getTflopsPrecisionLabel(currentHardware, model.defaultWeightBytes);
       }
     }
   });
@@ -323,47 +947,56 @@ function updateCalculatedCells() {
 // Update display (charts or error)
 function updateDisplay() {
   const totalVram = currentHardware.vram;
-  let totalStatic = 0;
-  let totalDynamic = 0;
 
-  MODELS.forEach(model => {
-    if (model.enabled) {
-      totalStatic += calculateWeightsGB(model);
-      totalDynamic += model.defaultKVBudget;
-    }
-  });
-
-  const totalUsed = totalStatic + totalDynamic;
-  const overhead = totalUsed * 0.2;
-  const totalWithOverhead = totalUsed + overhead;
-  const remaining = totalVram - totalWithOverhead;
+  // Assign models to GPUs (a single GPU is just the one-shard case)
+  const plan = planPlacement(MODELS, currentHardware);
+  const summary = summarizePlacement(plan, currentHardware);
+  const remaining = summary.headroomGB;
 
   // Update capacity display
   document.getElementById('vramCapacity').textContent = totalVram;
   document.getElementById('deficitAmount').textContent = Math.abs(remaining).toFixed(2) + ' GB';
 
-  // Calculate bandwidth utilization
-  let totalBandwidthUsed = 0;
-  MODELS.forEach(model => {
-    if (model.enabled) {
-      totalBandwidthUsed += calculateBandwidth(model);
-    }
-  });
+  // Total fits but per-GPU limits don't: name the models that could not be placed
+  const placementOnly = remaining >= 0 && !plan.fits;
+  document.getElementById('capacityMessage').style.display = placementOnly ? 'none' : 'block';
+  document.getElementById('placementMessage').style.display = placementOnly ? 'block' : 'none';
+  document.getElementById('unplacedModels').textContent = plan.unplaced.map(idx => MODELS[idx].name).join(', ');
+  document.getElementById('gpuVramCapacity').textContent = plan.gpuVram.toFixed(0);
 
   // Update calculated table cells
-  updateCalculatedCells();
+  updateCalculatedCells(plan);
+  refreshModelDetails();
 
   // Show error or charts based on capacity
-  if (remaining < 0) {
+  if (!plan.fits) {
     document.getElementById('errorMessage').style.display = 'block';
     document.getElementById('chartsContainer').style.display = 'none';
   } else {
     document.getElementById('errorMessage').style.display = 'none';
     document.getElementById('chartsContainer').style.display = 'flex';
-    updateCharts();
+    updateCharts(plan, summary);
   }
 }
 
+// Create dotted pattern for LoRA adapter slices
+function createDottedPattern(color) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 8;
+  canvas.height = 8;
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, 8, 8);
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+  ctx.beginPath();
+  ctx.arc(4, 4, 1.5, 0, Math.PI * 2);
+  ctx.fill();
+
+  return ctx.createPattern(canvas, 'repeat');
+}
+
 // Create striped pattern for KV cache slices
 function createStripedPattern(color) {
   const canvas = document.createElement('canvas');
@@ -388,175 +1021,229 @@ function createStripedPattern(color) {
   return ctx.createPattern(canvas, 'repeat');
 }
 
-// Update charts
-function updateCharts() {
-  const totalVram = currentHardware.vram;
-  const totalBandwidth = currentHardware.bandwidth;
-
-  const colors = [
-    '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8',
-    '#F7DC6F', '#BB8FCE', '#85C1E2', '#F8B739', '#52B788'
-  ];
+function getModelColor(modelIdx) {
+  return MODEL_COLORS[modelIdx % MODEL_COLORS.length];
+}
 
-  // VRAM Chart
-  const vramLabels = [];
-  const vramData = [];
-  const vramBackgrounds = [];
-  const modelMapping = [];
+// Chart label for one placed copy of a model, numbered when it has replicas
+function getPlacedModelName(item) {
+  const model = MODELS[item.modelIdx];
+  return getReplicaCount(model) > 1 ? model.name + ' #' + (item.replica + 1) : model.name;
+}
 
-  let totalStatic = 0;
-  let totalDynamic = 0;
+// Build VRAM chart segments for each GPU
+function buildVramSegments(plan) {
+  return plan.gpus.map(gpu => {
+    const segments = [];
 
-  MODELS.forEach((model, idx) => {
-    if (model.enabled) {
-      const weights = calculateWeightsGB(model);
-      const kvBudget = model.defaultKVBudget;
-
-      if (weights > 0) {
-        vramLabels.push(model.name + ' (Weights)');
-        vramData.push(weights);
-        vramBackgrounds.push(colors[idx % colors.length]);
-        modelMapping.push(idx);
-        totalStatic += weights;
+    gpu.items.forEach(item => {
+      const model = MODELS[item.modelIdx];
+      if (item.weightsGB > 0) {
+        segments.push({ label: getPlacedModelName(item) + ' (Weights)', value: item.weightsGB, background: getModelColor(item.modelIdx), modelIdx: item.modelIdx });
       }
-
-      if (kvBudget > 0) {
-        vramLabels.push(model.name + ' (KV Cache)');
-        vramData.push(kvBudget);
-        vramBackgrounds.push(createStripedPattern(colors[idx % colors.length]));
-        modelMapping.push(idx);
-        totalDynamic += kvBudget;
+      // Resident adapters and hot-swap slots split the model's LoRA memory
+      if (item.loraGB > 0) {
+        const adapters = getLoraAdapters(model);
+        const slots = getLoraSlots(model);
+        [[adapters, ' (LoRA, ' + adapters + ' resident)'], [slots, ' (LoRA, ' + slots + ' swap slots)']].forEach(([count, suffix]) => {
+          if (count === 0) return;
+          segments.push({ label: getPlacedModelName(item) + suffix, value: (item.loraGB * count) / (adapters + slots),
+            background: createDottedPattern(getModelColor(item.modelIdx)), modelIdx: item.modelIdx });
+        });
       }
-    }
-  });
-
-  const totalUsed = totalStatic + totalDynamic;
-  const overhead = totalUsed * 0.2;
-  const remaining = totalVram - totalUsed - overhead;
+      if (item.kvGB > 0) {
+        segments.push({ label: getPlacedModelName(item) + ' (KV Cache)', value: item.kvGB, background: createStripedPattern(getModelColor(item.modelIdx)), modelIdx: item.modelIdx });
+      }
+    });
 
-  vramLabels.push('Overhead (20%)');
-  vramData.push(overhead);
-  vramBackgrounds.push('#666666');
-  modelMapping.push(-1);
+    // Each overhead component as its own slice
+    const overhead = calculateOverheadComponents(gpu, plan.gpuVram, plan.engine);
+    const overheadSegments = [
+      ['CUDA context', overhead.contextGB, '#777777'],
+      ['Activations', overhead.activationGB, '#666666'],
+      ['Fragmentation (' + plan.engine.fragmentationPct + '%)', overhead.fragmentationGB, '#555555'],
+      ['Reserved (utilization ' + plan.engine.memoryUtilization + ')', overhead.reservedGB, '#444444']
+    ];
+    overheadSegments.forEach(([label, value, background]) => {
+      if (value > 0) segments.push({ label, value, background, modelIdx: -1 });
+    });
 
-  if (remaining > 0) {
-    vramLabels.push('Available');
-    vramData.push(remaining);
-    vramBackgrounds.push('#2a2a2a');
-    modelMapping.push(-1);
-  }
+    const remaining = plan.gpuVram - gpu.usedGB - overhead.totalGB;
+    if (remaining > 0) {
+      segments.push({ label: 'Available', value: remaining, background: '#2a2a2a', modelIdx: -1 });
+    }
 
-  // Calculate VRAM utilization percentage for header
-  const vramUtilizationPct = ((totalUsed + overhead) / totalVram * 100).toFixed(1);
-  document.getElementById('vramChartHeader').textContent = `VRAM Utilization (${vramUtilizationPct}%)`;
+    return segments;
+  });
+}
 
-  const vramCtx = document.getElementById('vramChart').getContext('2d');
+// Build bandwidth chart segments for each GPU
+function buildBandwidthSegments(plan) {
+  return plan.gpus.map(gpu => {
+    const segments = [];
 
-  if (vramChart) {
-    vramChart.destroy();
-  }
-
-  vramChart = new Chart(vramCtx, {
-    type: 'pie',
-    data: {
-      labels: vramLabels,
-      datasets: [{
-        data: vramData,
-        backgroundColor: vramBackgrounds,
-        borderColor: '#1a1a1a',
-        borderWidth: 2
-      }]
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: true,
-      animation: false,
-      plugins: {
-        legend: {
-          display: false
-        },
-        tooltip: {
-          callbacks: {
-            label: function(context) {
-              const label = context.label || '';
-              const value = context.parsed;
-              const percentage = ((value / totalVram) * 100).toFixed(1);
-              return label + ': ' + value.toFixed(2) + ' GB (' + percentage + '%)';
-            }
-          }
-        },
-        datalabels: {
-          display: false
-        }
-      },
-      onHover: (event, activeElements) => {
-        if (activeElements.length > 0) {
-          const index = activeElements[0].index;
-          const modelIdx = modelMapping[index];
-          if (modelIdx >= 0 && hoveredModelIndex !== modelIdx) {
-            hoveredModelIndex = modelIdx;
-            highlightTableRow(modelIdx);
-          }
-        } else if (hoveredModelIndex !== null) {
-          hoveredModelIndex = null;
-          clearTableHighlight();
-        }
+    gpu.items.forEach(item => {
+      if (item.bandwidthGBps > 0) {
+        segments.push({ label: getPlacedModelName(item), value: item.bandwidthGBps, background: getModelColor(item.modelIdx), modelIdx: item.modelIdx });
       }
+    });
+
+    const remaining = Math.max(0, plan.gpuBandwidth - gpu.bandwidthGBps);
+    if (remaining > 0) {
+      segments.push({ label: 'Available', value: remaining, background: '#2a2a2a', modelIdx: -1 });
     }
+
+    return segments;
   });
+}
 
-  // Bandwidth Chart
-  const bandwidthLabels = [];
-  const bandwidthData = [];
-  const bandwidthBackgrounds = [];
-  bandwidthModelMapping = []; // Reset mapping
-  let totalBandwidthUsed = 0;
+// Build compute chart segments for each GPU (percent of GPU compute time)
+function buildComputeSegments(plan) {
+  return plan.gpus.map(gpu => {
+    const segments = [];
 
-  MODELS.forEach((model, idx) => {
-    if (model.enabled) {
-      const bw = calculateBandwidth(model);
-      if (bw > 0) {
-        bandwidthLabels.push(model.name);
-        bandwidthData.push(bw);
-        bandwidthBackgrounds.push(colors[idx % colors.length]);
-        bandwidthModelMapping.push(idx); // Track which model this slice is
-        totalBandwidthUsed += bw;
+    gpu.items.forEach(item => {
+      if (item.computePct > 0) {
+        segments.push({ label: getPlacedModelName(item), value: item.computePct, background: getModelColor(item.modelIdx), modelIdx: item.modelIdx });
       }
+    });
+
+    const remaining = Math.max(0, 100 - gpu.computePct);
+    if (remaining > 0) {
+      segments.push({ label: 'Available', value: remaining, background: '#2a2a2a', modelIdx: -1 });
     }
+
+    return segments;
   });
+}
 
-  const bandwidthRemaining = Math.max(0, totalBandwidth - totalBandwidthUsed);
-  if (bandwidthRemaining > 0) {
-    bandwidthLabels.push('Available');
-    bandwidthData.push(bandwidthRemaining);
-    bandwidthBackgrounds.push('#2a2a2a');
-    bandwidthModelMapping.push(-1); // -1 for "Available"
-  }
+// Update charts
+function updateCharts(plan, summary) {
+  const multiGpu = plan.gpuCount > 1;
 
-  const bandwidthCtx = document.getElementById('bandwidthChart').getContext('2d');
+  // VRAM Chart
+  const vramUtilizationPct = summary.vramPct.toFixed(1);
+  document.getElementById('vramChartHeader').textContent = multiGpu
+    ? `VRAM per GPU (${vramUtilizationPct}% overall)`
+    : `VRAM Utilization (${vramUtilizationPct}%)`;
+
+  const vram = renderUsageChart(vramChart, 'vramChart', buildVramSegments(plan), plan.gpuVram,
+    (value, percentage) => value.toFixed(2) + ' GB (' + percentage + '%)');
+  vramChart = vram.chart;
+  vramChartMapping = vram.mapping;
 
-  if (bandwidthChart) {
-    bandwidthChart.destroy();
+  // Bandwidth Chart
+  const bandwidthUtil = summary.bandwidthPct;
+  let bandwidthHeader = multiGpu
+    ? `Bandwidth per GPU (${bandwidthUtil.toFixed(1)}% overall)`
+    : `Bandwidth Utilization (${bandwidthUtil.toFixed(1)}%)`;
+
+  // Sharded models also load the GPU-to-GPU link
+  if (plan.interconnectGBps > 0) {
+    bandwidthHeader += summary.interconnectPct !== null
+      ? ` · Interconnect ${summary.interconnectPct.toFixed(1)}%`
+      : ` · Interconnect ${plan.interconnectGBps.toFixed(1)} GB/s`;
   }
 
-  const bandwidthUtil = (totalBandwidthUsed / totalBandwidth) * 100;
-  document.getElementById('bandwidthChartHeader').textContent = `Bandwidth Utilization (${bandwidthUtil.toFixed(1)}%)`;
+  // Offloaded MoE experts stream over PCIe
+  if (summary.pcieGBps > 0) {
+    bandwidthHeader += summary.pciePct !== null
+      ? ` · PCIe ${summary.pciePct.toFixed(1)}%`
+      : ` · PCIe ${summary.pcieGBps.toFixed(1)} GB/s`;
+  }
+  document.getElementById('bandwidthChartHeader').textContent = bandwidthHeader;
+
+  const bandwidth = renderUsageChart(bandwidthChart, 'bandwidthChart', buildBandwidthSegments(plan), plan.gpuBandwidth,
+    (value, percentage) => value.toFixed(0) + ' GB/s (' + percentage + '%)');
+  bandwidthChart = bandwidth.chart;
+  bandwidthChartMapping = bandwidth.mapping;
+
+  // Compute Chart
+  const computeUtil = summary.computePct;
+  document.getElementById('computeChartHeader').textContent = multiGpu
+    ? `Compute per GPU (${computeUtil.toFixed(1)}% overall)`
+    : `Compute Utilization (${computeUtil.toFixed(1)}%)`;
+
+  const compute = renderUsageChart(computeChart, 'computeChart', buildComputeSegments(plan), 100,
+    value => value.toFixed(1) + '% of GPU compute');
+  computeChart = compute.chart;
+  computeChartMapping = compute.mapping;
+}
 
-  bandwidthChart = new Chart(bandwidthCtx, {
-    type: 'pie',
-    data: {
-      labels: bandwidthLabels,
+// Render segments as a pie (single GPU) or stacked bars (one bar per GPU).
+// formatValue(value, percentOfCapacity) builds the tooltip text.
+// Returns the chart plus a mapping from chart elements back to model indices.
+function renderUsageChart(existingChart, canvasId, gpuSegments, capacity, formatValue) {
+  const mapping = [];
+  let data;
+  let scales;
+
+  if (gpuSegments.length === 1) {
+    const segments = gpuSegments[0];
+    segments.forEach((segment, i) => {
+      mapping.push({ datasetIndex: 0, index: i, modelIdx: segment.modelIdx });
+    });
+    data = {
+      labels: segments.map(segment => segment.label),
       datasets: [{
-        data: bandwidthData,
-        backgroundColor: bandwidthBackgrounds,
+        data: segments.map(segment => segment.value),
+        backgroundColor: segments.map(segment => segment.background),
         borderColor: '#1a1a1a',
         borderWidth: 2
       }]
-    },
+    };
+  } else {
+    // One dataset per distinct segment label, stacked across GPUs
+    const datasets = [];
+    const datasetByLabel = {};
+    gpuSegments.forEach((segments, gpuIdx) => {
+      segments.forEach(segment => {
+        let dataset = datasetByLabel[segment.label];
+        if (!dataset) {
+          dataset = {
+            label: segment.label,
+            data: gpuSegments.map(() => 0),
+            backgroundColor: segment.background,
+            borderColor: '#1a1a1a',
+            borderWidth: 1,
+            modelIdx: segment.modelIdx
+          };
+          datasetByLabel[segment.label] = dataset;
+          datasets.push(dataset);
+        }
+        dataset.data[gpuIdx] += segment.value;
+      });
+    });
+
+    datasets.forEach((dataset, datasetIndex) => {
+      dataset.data.forEach((value, index) => {
+        if (value > 0) mapping.push({ datasetIndex, index, modelIdx: dataset.modelIdx });
+      });
+    });
+
+    data = {
+      labels: gpuSegments.map((segments, gpuIdx) => 'GPU ' + gpuIdx),
+      datasets
+    };
+    scales = {
+      x: { stacked: true, ticks: { color: '#c0c0c0' }, grid: { display: false } },
+      y: { stacked: true, max: capacity, ticks: { color: '#888' }, grid: { color: '#333' } }
+    };
+  }
+
+  if (existingChart) {
+    existingChart.destroy();
+  }
+
+  const ctx = document.getElementById(canvasId).getContext('2d');
+  const chart = new Chart(ctx, {
+    type: gpuSegments.length === 1 ? 'pie' : 'bar',
+    data,
     options: {
       responsive: true,
-      maintainAspectRatio: true,
+      maintainAspectRatio: gpuSegments.length === 1,
       animation: false,
+      scales,
       plugins: {
         legend: {
           display: false
@@ -564,10 +1251,10 @@ function updateCharts() {
         tooltip: {
           callbacks: {
             label: function(context) {
-              const label = context.label || '';
-              const value = context.parsed;
-              const percentage = ((value / totalBandwidth) * 100).toFixed(1);
-              return label + ': ' + value.toFixed(0) + ' GB/s (' + percentage + '%)';
+              const label = gpuSegments.length === 1 ? context.label : context.dataset.label;
+              const value = gpuSegments.length === 1 ? context.parsed : context.parsed.y;
+              const percentage = ((value / capacity) * 100).toFixed(1);
+              return (label || '') + ': ' + formatValue(value, percentage);
             }
           }
         },
@@ -577,8 +1264,9 @@ function updateCharts() {
       },
       onHover: (event, activeElements) => {
         if (activeElements.length > 0) {
-          const index = activeElements[0].index;
-          const modelIdx = bandwidthModelMapping[index];
+          const active = activeElements[0];
+          const entry = mapping.find(m => m.datasetIndex === active.datasetIndex && m.index === active.index);
+          const modelIdx = entry ? entry.modelIdx : -1;
           if (modelIdx >= 0 && hoveredModelIndex !== modelIdx) {
             hoveredModelIndex = modelIdx;
             highlightTableRow(modelIdx);
@@ -590,6 +1278,20 @@ function updateCharts() {
       }
     }
   });
+
+  return { chart, mapping };
+}
+
+// Highlight every chart element that belongs to a model, its replicas and
+// its base model (null clears)
+function setChartHighlight(chart, mapping, modelIdx) {
+  if (!chart) return;
+  const group = modelIdx === null ? [] : getReplicaGroup(modelIdx);
+  const activeElements = mapping
+    .filter(m => group.includes(m.modelIdx))
+    .map(m => ({ datasetIndex: m.datasetIndex, index: m.index }));
+  chart.setActiveElements(activeElements);
+  chart.update('none');
 }
 
 // Table row highlighting
@@ -598,6 +1300,10 @@ function highlightTableRow(modelIndex) {
   const rows = document.querySelectorAll('#modelTableBody tr');
   if (rows[modelIndex]) {
     rows[modelIndex].classList.add('highlight-row');
+    // Link replica rows back to their base model (and the other way round)
+    getReplicaGroup(modelIndex).forEach(idx => {
+      if (idx !== modelIndex && rows[idx]) rows[idx].classList.add('highlight-replica');
+    });
 
     // Add highlight to chart containers for visual depth
     const chartSections = document.querySelectorAll('.chart-section');
@@ -608,8 +1314,8 @@ function highlightTableRow(modelIndex) {
 }
 
 function clearTableHighlight() {
-  document.querySelectorAll('.highlight-row').forEach(el => {
-    el.classList.remove('highlight-row');
+  document.querySelectorAll('.highlight-row, .highlight-replica').forEach(el => {
+    el.classList.remove('highlight-row', 'highlight-replica');
   });
 
   // Remove highlight from chart containers
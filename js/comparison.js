@@ -0,0 +1,186 @@
+/**
+ * AI Hardware Planner - Hardware Comparison
+ *
+ * Runs the enabled model set against several hardware entries at once and
+ * shows a matrix of VRAM fit, headroom, bandwidth and compute utilization,
+ * per-model concurrency and an overall pass/fail.
+ *
+ * Depends on:
+ *   - data/hardware.js (getAllHardware, getHardwareById)
+ *   - js/placement.js (planPlacement, summarizePlacement, formatPlacement, describePlacementStrategy)
+ *   - js/engine.js (engineConfig)
+ */
+
+// Hardware ids left out of the comparison (everything is included by default)
+let comparisonExcludedIds = [];
+
+function evaluateHardware(models, hardware, engine = engineConfig) {
+  const plan = planPlacement(models, hardware, engine);
+  return { hardware, plan, summary: summarizePlacement(plan, hardware) };
+}
+
+function openComparison() {
+  renderComparisonHardwareList();
+  renderComparison();
+  document.getElementById('comparisonDialog').showModal();
+}
+
+function renderComparisonHardwareList() {
+  const list = document.getElementById('comparisonHardwareList');
+  list.innerHTML = '';
+
+  getAllHardware().forEach(hw => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !comparisonExcludedIds.includes(hw.id);
+    checkbox.onchange = () => {
+      comparisonExcludedIds = comparisonExcludedIds.filter(id => id !== hw.id);
+      if (!checkbox.checked) comparisonExcludedIds.push(hw.id);
+      renderComparison();
+    };
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(' ' + hw.name));
+    list.appendChild(label);
+  });
+}
+
+function renderComparison() {
+  const table = document.getElementById('comparisonTable');
+  table.innerHTML = '';
+
+  const results = getAllHardware()
+    .filter(hw => !comparisonExcludedIds.includes(hw.id))
+    .map(hw => evaluateHardware(MODELS, hw));
+
+  if (results.length === 0) {
+    table.insertRow().insertCell().textContent = 'Select at least one hardware configuration.';
+    return;
+  }
+
+  const headRow = table.createTHead().insertRow();
+  headRow.appendChild(document.createElement('th')).textContent = '';
+  results.forEach(result => {
+    const th = document.createElement('th');
+    th.textContent = result.hardware.name;
+    if (result.hardware.id === currentHardware.id) th.className = 'selected-column';
+    headRow.appendChild(th);
+  });
+
+  const tbody = table.createTBody();
+  const addRow = (label, render) => {
+    const row = tbody.insertRow();
+    row.insertCell().textContent = label;
+    results.forEach(result => {
+      const cell = row.insertCell();
+      render(cell, result);
+      if (result.hardware.id === currentHardware.id) cell.classList.add('selected-column');
+    });
+  };
+
+  addRow('Result', (cell, { summary }) => {
+    if (summary.pass) {
+      cell.textContent = 'Pass';
+    } else if (!summary.fits) {
+      cell.textContent = 'Fail: VRAM';
+    } else if (!summary.bandwidthFits) {
+      cell.textContent = 'Fail: bandwidth';
+    } else if (!summary.computeFits) {
+      cell.textContent = 'Fail: compute';
+    } else if (!summary.interconnectFits) {
+      cell.textContent = 'Fail: interconnect';
+    } else {
+      cell.textContent = 'Fail: PCIe';
+    }
+    cell.className = summary.pass ? 'bw-low' : 'bw-high';
+  });
+
+  addRow('VRAM fit', (cell, { plan, summary }) => {
+    cell.textContent = summary.totalGB.toFixed(1) + ' / ' + plan.gpuCount + '×' + plan.gpuVram.toFixed(0) + ' GB';
+    cell.className = summary.fits ? '' : 'bw-high';
+  });
+
+  addRow('Headroom', (cell, { summary }) => {
+    cell.textContent = summary.headroomGB.toFixed(1) + ' GB';
+    cell.className = summary.headroomGB >= 0 ? '' : 'bw-high';
+  });
+
+  addRow('Bandwidth utilization', (cell, { summary }) => {
+    cell.textContent = summary.bandwidthPct.toFixed(1) + '%';
+    cell.className = getUtilizationClass(summary.bandwidthPct);
+  });
+
+  addRow('Compute utilization', (cell, { summary }) => {
+    cell.textContent = summary.computePct.toFixed(1) + '%';
+    cell.className = getUtilizationClass(summary.computePct);
+  });
+
+  addRow('Interconnect', (cell, { plan, summary }) => {
+    if (summary.interconnectPct !== null) {
+      cell.textContent = summary.interconnectPct.toFixed(1) + '%';
+      cell.className = getUtilizationClass(summary.interconnectPct);
+    } else {
+      cell.textContent = plan.interconnectGBps > 0 ? plan.interconnectGBps.toFixed(1) + ' GB/s' : '—';
+      cell.className = 'readonly';
+    }
+  });
+
+  addRow('PCIe (offloaded experts)', (cell, { summary }) => {
+    if (summary.pcieGBps > 0 && summary.pciePct !== null) {
+      cell.textContent = summary.pciePct.toFixed(1) + '%';
+      cell.className = getUtilizationClass(summary.pciePct);
+    } else {
+      cell.textContent = summary.pcieGBps > 0 ? summary.pcieGBps.toFixed(1) + ' GB/s' : '—';
+      cell.className = 'readonly';
+    }
+  });
+
+  // Max concurrency and placement per enabled model
+  MODELS.forEach((model, idx) => {
+    if (!model.enabled) return;
+    addRow(model.name, (cell, { hardware, plan }) => {
+      const placement = plan.placements[idx];
+      const maxConcurrent = calculateMaxConcurrent(model);
+      if (placement.strategy === 'none') {
+        cell.textContent = formatPlacement(placement);
+        cell.className = 'bw-high';
+        return;
+      }
+      cell.textContent = (maxConcurrent === 0 ? 'N/A' : maxConcurrent.toFixed(2)) + ' · ' + formatPlacement(placement);
+      cell.title = describePlacementStrategy(placement, hardware);
+    });
+  });
+
+  // Switch the planner to a column's hardware
+  const actionRow = tbody.insertRow();
+  actionRow.insertCell();
+  results.forEach(result => {
+    const cell = actionRow.insertCell();
+    if (result.hardware.id === currentHardware.id) {
+      cell.textContent = 'Selected';
+      cell.className = 'readonly';
+      return;
+    }
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'button';
+    button.textContent = 'Use this';
+    button.onclick = () => selectHardware(result.hardware.id);
+    cell.appendChild(button);
+  });
+}
+
+function getUtilizationClass(percent) {
+  if (percent > 100) return 'bw-high';
+  if (percent > 80) return 'bw-medium';
+  return 'bw-low';
+}
+
+function selectHardware(hardwareId) {
+  currentHardware = getHardwareById(hardwareId);
+  document.getElementById('hardwareSelect').value = currentHardware.id;
+  saveState();
+  renderTable();
+  updateDisplay();
+  renderComparison();
+}
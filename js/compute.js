@@ -0,0 +1,210 @@
+/**
+ * AI Hardware Planner - Prefill, Decode & Compute
+ *
+ * Decode is memory-bound: every step reads the weights once for the whole
+ * batch plus each request's KV cache, so batching amortizes weight reads
+ * while KV reads grow per request. Prefill processes the whole prompt in
+ * parallel and is compute-bound. These helpers estimate decode step time and
+ * throughput, prefill FLOPs, time-to-first-token and the share of GPU
+ * compute each model needs to sustain its target throughput.
+ *
+ * Target tok/s is per user: every request in the batch (Max Concurrent, see
+ * getDecodeBatch) should decode at that rate.
+ *
+ * With a draft model (speculative decoding) each step drafts k tokens with
+ * the draft, then the target verifies them in one pass that still reads
+ * its weights and KV cache once, so a step yields calculateTokensPerStep
+ * tokens per request instead of one.
+ *
+ * Encoders (Embed, Rerank, Classifier) only run the prefill-like forward
+ * pass: batches of items at the model's items/s, each pass reading the
+ * weights once and doing 2 FLOPs per parameter per token.
+ *
+ * Depends on:
+ *   - data/hardware.js (hardware tflops, bandwidth, pcieBandwidth)
+ *   - data/models.js (getDecodeBatch, calculateStepWeightReads, calculateKVBytes, getDraftModel, isEncoderModel, etc.)
+ *   - js/engine.js (engineConfig)
+ *   - js/placement.js (getGpuCount)
+ */
+
+// Share of peak TFLOPS a serving engine typically reaches during prefill
+const PREFILL_MFU = 0.5;
+
+// Peak TFLOPS for a weight precision. FP8/INT8 weights run on FP8 tensor
+// cores; INT4 weights are dequantized and multiplied at FP16.
+function getPeakTflops(hardware, weightBytes) {
+  const tflops = hardware.tflops || {};
+  if (weightBytes >= 4) return tflops.fp32 || 0;
+  if (weightBytes === 1) return tflops.fp8 || tflops.fp16 || 0;
+  return tflops.fp16 || 0;
+}
+
+function getTflopsPrecisionLabel(hardware, weightBytes) {
+  const tflops = hardware.tflops || {};
+  if (weightBytes >= 4) return 'FP32';
+  if (weightBytes === 1 && tflops.fp8) return 'FP8';
+  return 'FP16';
+}
+
+// FLOPs to prefill one prompt, its images included: the vision encoder
+// runs first, then image tokens are prefilled like text (by the draft
+// model too, when there is one)
+function calculatePrefillFlops(model) {
+  const promptTokens = getPromptTokens(model);
+  const activeParams = model.activeParams || model.baseParams;
+  const draft = getDraftModel(model);
+  const draftParams = draft ? draft.activeParams || draft.baseParams : 0;
+
+  // ~2 FLOPs per active parameter per token for the linear layers
+  const linearFlops = 2 * (activeParams + draftParams) * promptTokens;
+
+  // QK^T and scores*V are 4 FLOPs per head dim per token pair; causal masking halves it
+  const attentionFlops = 2 * model.layers * model.numHeads * model.headDim * promptTokens * promptTokens;
+
+  return linearFlops + attentionFlops + calculateVisionFlops(model);
+}
+
+// FLOPs to encode one item of Avg Tokens/Req tokens. Attention is counted
+// in both directions (no causal halving) and over the whole hidden size,
+// since embedding models don't list a head dim.
+function calculateEncoderFlops(model) {
+  const tokens = model.defaultAvgTokens;
+  const activeParams = model.activeParams || model.baseParams;
+  return 2 * activeParams * tokens + 4 * model.layers * model.hiddenDim * tokens * tokens;
+}
+
+// One encoder forward pass over a full batch on `shards` GPUs: compute-bound
+// unless reading the weights takes longer. itemsPerSec is the most the
+// model can encode back to back.
+function calculateEncoderPass(model, hardware, shards = 1) {
+  const gpuCount = getGpuCount(hardware);
+  const peakTflops = (getPeakTflops(hardware, model.defaultWeightBytes) / gpuCount) * shards;
+  const bandwidth = (hardware.bandwidth / gpuCount) * shards;
+  const batch = getEncoderBatch(model);
+  const weightsGB = calculateStepWeightReads(model, batch).vramGB;
+  const computeSeconds = peakTflops > 0 ? (batch * calculateEncoderFlops(model)) / (peakTflops * 1e12 * PREFILL_MFU) : 0;
+  const weightReadSeconds = weightsGB / bandwidth;
+  const seconds = Math.max(computeSeconds, weightReadSeconds);
+  return {
+    batch,
+    weightsGB,
+    bandwidth,
+    computeSeconds,
+    weightReadSeconds,
+    seconds,
+    itemsPerSec: seconds > 0 ? batch / seconds : 0
+  };
+}
+
+// Tokens per second generated across the whole batch when every request
+// decodes at the target rate; for encoders, tokens encoded per second
+function calculateAggregateTargetTokens(model, engine = engineConfig) {
+  if (isEncoderModel(model)) return getEncoderItemsPerSec(model) * model.defaultAvgTokens;
+  return getDecodeBatch(model, engine) * model.defaultTargetTokensPerSec;
+}
+
+// Requests per second implied by the target decode rate. Avg Tokens/Req is
+// the whole context, so each request generates (avg - prompt) tokens.
+// Encoders take their items/s directly.
+function calculateRequestRate(model, engine = engineConfig) {
+  if (isEncoderModel(model)) return getEncoderItemsPerSec(model);
+  const outputTokens = Math.max(1, model.defaultAvgTokens - (model.defaultPromptTokens || 0));
+  return calculateAggregateTargetTokens(model, engine) / outputTokens;
+}
+
+// Sustained FLOP/s: prefill for every arriving request plus decode, or
+// every encoded item for encoders. A draft model's target verifies k + 1
+// tokens per step and the draft decodes k, for tokensPerStep kept.
+function calculateComputeFlops(model, engine = engineConfig) {
+  if (isEncoderModel(model)) return calculateEncoderFlops(model) * getEncoderItemsPerSec(model);
+  const activeParams = model.activeParams || model.baseParams;
+  const draft = getDraftModel(model);
+  const steps = calculateAggregateTargetTokens(model, engine) / calculateTokensPerStep(model);
+  const k = draft ? getDraftTokens(model) : 0;
+  const draftFlops = draft ? 2 * (draft.activeParams || draft.baseParams) * k : 0;
+  const decodeFlops = (2 * activeParams * (k + 1) + draftFlops) * steps;
+  const prefillFlops = calculatePrefillFlops(model) * calculateRequestRate(model, engine);
+  return prefillFlops + decodeFlops;
+}
+
+// KV cache (GB) one decode step reads: every request's whole context
+function calculateStepKVReadGB(model, batch) {
+  return (batch * calculateKVBytes(model, getContextTokens(model))) / 1e9;
+}
+
+// One decode step at Max Concurrent on `shards` GPUs of the hardware
+function calculateDecodeStep(model, hardware, shards = 1, engine = engineConfig) {
+  return calculateDecodeStepAt(model, hardware, shards, getDecodeBatch(model, engine));
+}
+
+// Everything one decode step reads with `batch` concurrent requests:
+// target weights (vramGB from VRAM, offloadGB over PCIe) and KV cache, plus
+// draftGB for k draft decode steps (its weights and KV cache each time)
+function calculateStepReads(model, batch) {
+  const draft = getDraftModel(model);
+  const k = draft ? getDraftTokens(model) : 0;
+  // Verifying k + 1 tokens per request routes more tokens through the experts
+  const reads = calculateStepWeightReads(model, batch * (k + 1));
+  const draftKVGB = draft ? (batch * calculateKVBytes(draft, getContextTokens(model))) / 1e9 : 0;
+  return {
+    vramGB: reads.vramGB,
+    offloadGB: reads.offloadGB,
+    kvGB: calculateStepKVReadGB(model, batch),
+    draftGB: draft ? k * (calculateStepWeightReads(draft, batch).vramGB + draftKVGB) : 0,
+    draftTokens: k,
+    tokensPerStep: calculateTokensPerStep(model)
+  };
+}
+
+// One decode step with `batch` concurrent requests. Offloaded experts are
+// only known once the router runs, so their PCIe transfer adds to the step
+// instead of overlapping it.
+function calculateDecodeStepAt(model, hardware, shards, batch) {
+  const reads = calculateStepReads(model, batch);
+  const bandwidth = (hardware.bandwidth / getGpuCount(hardware)) * shards;
+  const pcieSeconds = reads.offloadGB > 0 && hardware.pcieBandwidth ? reads.offloadGB / (hardware.pcieBandwidth * shards) : 0;
+  const seconds = (reads.vramGB + reads.kvGB + reads.draftGB) / bandwidth + pcieSeconds;
+  return {
+    batch,
+    weightsGB: reads.vramGB,
+    kvGB: reads.kvGB,
+    offloadGB: reads.offloadGB,
+    draftGB: reads.draftGB,
+    draftTokens: reads.draftTokens,
+    tokensPerStep: reads.tokensPerStep,
+    bandwidth,
+    seconds,
+    perUserTokensPerSec: reads.tokensPerStep / seconds,
+    aggregateTokensPerSec: (batch * reads.tokensPerStep) / seconds
+  };
+}
+
+// Time-to-first-token (seconds) on `shards` GPUs of the hardware. Prefill
+// can't finish faster than one pass over the active weights. Encoders
+// return once their batch is encoded.
+function calculateTTFT(model, hardware, shards = 1) {
+  if (isEncoderModel(model)) return calculateEncoderPass(model, hardware, shards).seconds;
+  const gpuCount = getGpuCount(hardware);
+  const peakTflops = (getPeakTflops(hardware, model.defaultWeightBytes) / gpuCount) * shards;
+  const bandwidth = (hardware.bandwidth / gpuCount) * shards;
+  if (peakTflops === 0 || getPromptTokens(model) === 0) return 0;
+
+  const computeSeconds = calculatePrefillFlops(model) / (peakTflops * 1e12 * PREFILL_MFU);
+  const activeParams = model.activeParams || model.baseParams;
+  const weightReadSeconds = (activeParams * model.defaultWeightBytes) / 1e9 / bandwidth;
+  return Math.max(computeSeconds, weightReadSeconds);
+}
+
+// Percent of one GPU's achievable compute (PREFILL_MFU of peak) the model
+// needs at its weight precision
+function calculateComputePercent(model, hardware, engine = engineConfig) {
+  const peakTflops = getPeakTflops(hardware, model.defaultWeightBytes) / getGpuCount(hardware);
+  if (peakTflops === 0) return 0;
+  return (calculateComputeFlops(model, engine) / (peakTflops * 1e12 * PREFILL_MFU)) * 100;
+}
+
+function formatSeconds(seconds) {
+  if (seconds === 0) return 'N/A';
+  if (seconds < 1) return (seconds * 1000).toFixed(0) + ' ms';
+  return seconds.toFixed(2) + ' s';
+}
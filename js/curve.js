@@ -0,0 +1,172 @@
+/**
+ * AI Hardware Planner - Concurrency Curve
+ *
+ * Per-model line chart in the details panel: concurrent users against
+ * per-user tok/s, aggregate tok/s and KV cache used, so the knee shows
+ * instead of just the maximum. Markers show where the KV budget runs out
+ * (Max Concurrent) and where the hardware's bandwidth can no longer give
+ * every user the target tok/s.
+ *
+ * Depends on:
+ *   - data/models.js (calculateKVLayout, calculateMaxConcurrent)
+ *   - js/compute.js (calculateDecodeStepAt)
+ *   - js/placement.js (planPlacement)
+ *   - js/app.js (currentHardware)
+ *   - js/details.js (createDetailsSection, appendDetailsChart)
+ *   - Chart.js
+ */
+
+let curveChart = null;
+
+// Concurrency scanned for the bandwidth ceiling
+const CURVE_MAX_USERS = 4096;
+
+// Points plotted along the x axis at most
+const CURVE_POINTS = 100;
+
+// GPUs the model is placed on, so the curve uses their combined bandwidth
+function getModelShards(modelIdx) {
+  const placement = planPlacement(MODELS, currentHardware).placements[modelIdx];
+  return placement && placement.gpus.length > 0 ? placement.gpus.length : 1;
+}
+
+// KV cache (GB) held by `users` concurrent requests under the engine's layout
+function calculateKVUsedGB(model, users) {
+  const layout = calculateKVLayout(model);
+  return (layout.sharedBytes + users * layout.bytesPerRequest) / 1e9;
+}
+
+// Most concurrent users that still each get the target tok/s; null when
+// bandwidth never limits it within CURVE_MAX_USERS
+function calculateBandwidthCeiling(model, hardware, shards) {
+  const target = model.defaultTargetTokensPerSec;
+  if (target <= 0) return null;
+  if (calculateDecodeStepAt(model, hardware, shards, 1).perUserTokensPerSec < target) return 0;
+  for (let users = 2; users <= CURVE_MAX_USERS; users++) {
+    if (calculateDecodeStepAt(model, hardware, shards, users).perUserTokensPerSec < target) return users - 1;
+  }
+  return null;
+}
+
+// Per-user tok/s, aggregate tok/s and KV used from 1 user to past both limits
+function calculateConcurrencyCurve(model, hardware, shards) {
+  const maxConcurrent = calculateMaxConcurrent(model);
+  const ceiling = calculateBandwidthCeiling(model, hardware, shards);
+  const lastUsers = Math.max(8, Math.ceil(Math.max(maxConcurrent, ceiling || 0) * 1.5));
+  const step = Math.max(1, Math.ceil(lastUsers / CURVE_POINTS));
+
+  const points = [];
+  for (let users = 1; users <= lastUsers; users += step) {
+    const decode = calculateDecodeStepAt(model, hardware, shards, users);
+    points.push({
+      users,
+      perUserTokensPerSec: decode.perUserTokensPerSec,
+      aggregateTokensPerSec: decode.aggregateTokensPerSec,
+      kvGB: calculateKVUsedGB(model, users)
+    });
+  }
+  return { points, maxConcurrent, ceiling };
+}
+
+function destroyCurveChart() {
+  if (curveChart) {
+    curveChart.destroy();
+    curveChart = null;
+  }
+}
+
+function renderCurveSection(model, modelIdx) {
+  const section = createDetailsSection('Concurrency Curve');
+  destroyCurveChart();
+
+  if (calculateMaxConcurrent(model) === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'hint';
+    empty.textContent = 'This model has no KV cache budget, so it has no decode concurrency to plot.';
+    section.appendChild(empty);
+    return section;
+  }
+
+  const curve = calculateConcurrencyCurve(model, currentHardware, getModelShards(modelIdx));
+  const topTokens = Math.max(...curve.points.map(p => Math.max(p.perUserTokensPerSec, p.aggregateTokensPerSec)));
+  const marker = (label, users, color) => ({
+    label,
+    data: [{ x: users, y: 0 }, { x: users, y: topTokens }],
+    borderColor: color,
+    borderDash: [6, 4],
+    borderWidth: 1.5,
+    pointRadius: 0,
+    yAxisID: 'y'
+  });
+  const datasets = [
+    {
+      label: 'Per-user tok/s',
+      data: curve.points.map(p => ({ x: p.users, y: p.perUserTokensPerSec })),
+      borderColor: '#4fc3f7',
+      pointRadius: 0,
+      yAxisID: 'y'
+    },
+    {
+      label: 'Aggregate tok/s',
+      data: curve.points.map(p => ({ x: p.users, y: p.aggregateTokensPerSec })),
+      borderColor: '#81c784',
+      pointRadius: 0,
+      yAxisID: 'y'
+    },
+    {
+      label: 'KV cache (GB)',
+      data: curve.points.map(p => ({ x: p.users, y: p.kvGB })),
+      borderColor: '#ffb74d',
+      pointRadius: 0,
+      yAxisID: 'y1'
+    },
+    marker('KV budget limit (' + curve.maxConcurrent.toFixed(1) + ')', curve.maxConcurrent, '#e57373')
+  ];
+  if (curve.ceiling !== null) {
+    datasets.push(marker('Bandwidth ceiling at ' + model.defaultTargetTokensPerSec + ' tok/s (' + curve.ceiling + ')',
+      curve.ceiling, '#ba68c8'));
+  }
+
+  appendDetailsChart(section, {
+    type: 'line',
+    data: { datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: 'nearest', axis: 'x', intersect: false },
+      scales: {
+        x: {
+          type: 'linear',
+          title: { display: true, text: 'Concurrent users', color: '#888' },
+          ticks: { color: '#888' },
+          grid: { color: '#333' }
+        },
+        y: {
+          beginAtZero: true,
+          title: { display: true, text: 'tok/s', color: '#888' },
+          ticks: { color: '#888' },
+          grid: { color: '#333' }
+        },
+        y1: {
+          beginAtZero: true,
+          position: 'right',
+          title: { display: true, text: 'KV cache (GB)', color: '#888' },
+          ticks: { color: '#888' },
+          grid: { display: false }
+        }
+      },
+      plugins: {
+        legend: { labels: { color: '#c0c0c0', boxWidth: 12 } },
+        datalabels: { display: false }
+      }
+    }
+  }, chart => { curveChart = chart; });
+
+  const note = document.createElement('p');
+  note.className = 'hint';
+  note.textContent = 'Decode on ' + currentHardware.name + ' with the model\'s GPUs to itself; per-user tok/s falls as each added request reads its own KV cache.';
+  section.appendChild(note);
+
+  return section;
+}
@@ -0,0 +1,390 @@
+/**
+ * AI Hardware Planner - Model Details Panel
+ *
+ * Side panel with per-model information that doesn't fit in a table row.
+ * Opened by clicking a model's row.
+ *
+ * Depends on:
+ *   - data/models.js (MODELS, getBenchmarkScores, getBenchmarkName, calculateConcurrentAt, etc.)
+ *   - data/hardware.js (QUANT_DEGRADATION)
+ *   - js/app.js (currentHardware, calculatePcieTraffic, calculateBandwidth, describeImageTokens)
+ *   - js/compute.js (calculateEncoderPass, calculateEncoderFlops, calculateComputePercent, calculateComputeFlops, calculateTTFT,
+ *     calculateDecodeStep)
+ *   - js/overhead.js (calculateActivationGB)
+ *   - js/curve.js (renderCurveSection, destroyCurveChart, getModelShards)
+ *   - js/workload.js (workloadProfiles, renderWorkloadSection, destroyWorkloadChart)
+ *   - Chart.js
+ */
+
+let detailsModelIndex = null;
+
+function openModelDetails(modelIdx) {
+  detailsModelIndex = modelIdx;
+  document.getElementById('modelDetails').style.display = 'flex';
+  renderModelDetails();
+}
+
+function closeModelDetails() {
+  detailsModelIndex = null;
+  destroyCurveChart();
+  destroyWorkloadChart();
+  document.getElementById('modelDetails').style.display = 'none';
+}
+
+// Re-render if open (called after any setting changes)
+function refreshModelDetails() {
+  if (detailsModelIndex !== null) renderModelDetails();
+}
+
+function renderModelDetails() {
+  const model = MODELS[detailsModelIndex];
+  if (!model) {
+    closeModelDetails();
+    return;
+  }
+
+  document.getElementById('modelDetailsTitle').textContent = model.name;
+  const body = document.getElementById('modelDetailsBody');
+  body.innerHTML = '';
+  if (isEncoderModel(model)) {
+    destroyCurveChart();
+    body.appendChild(renderEncoderSection(model, detailsModelIndex));
+  } else {
+    body.appendChild(renderCurveSection(model, detailsModelIndex));
+  }
+  if (calculateMaxConcurrent(model) > 0) body.appendChild(renderContextSection(model));
+  if (model.vision) body.appendChild(renderVisionSection(model));
+  if (getDraftModel(model)) body.appendChild(renderSpeculativeSection(model, detailsModelIndex));
+  if (calculateLoraGB(model) > 0) body.appendChild(renderLoraSection(model));
+  if (workloadProfiles[model.id]) body.appendChild(renderWorkloadSection(model));
+  body.appendChild(renderQualitySection(model));
+  if (model.moe) body.appendChild(renderExpertsSection(model));
+}
+
+function createDetailsSection(title) {
+  const section = document.createElement('div');
+  section.className = 'details-section';
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  section.appendChild(heading);
+  return section;
+}
+
+// Chart.js chart in a details section. Chart.js needs the canvas in the
+// document to size it, so the chart is created (and passed to onCreate)
+// once the section has been added.
+function appendDetailsChart(section, config, onCreate) {
+  const container = document.createElement('div');
+  container.className = 'curve-container';
+  const canvas = document.createElement('canvas');
+  container.appendChild(canvas);
+  section.appendChild(container);
+
+  setTimeout(() => {
+    if (!canvas.isConnected) return;
+    onCreate(new Chart(canvas.getContext('2d'), config));
+  }, 0);
+}
+
+// Two-column table of [label, value] rows
+function appendDetailsRows(section, rows) {
+  const table = document.createElement('table');
+  table.className = 'details-table';
+  const tbody = table.createTBody();
+  rows.forEach(([label, value]) => {
+    const row = tbody.insertRow();
+    row.insertCell().textContent = label;
+    row.insertCell().textContent = value;
+  });
+  section.appendChild(table);
+}
+
+// Benchmark scores at every available weight precision
+function renderQualitySection(model) {
+  const section = createDetailsSection('Quality by Weight Precision');
+  const precisions = model.weightBytesOptions.slice().sort((a, b) => b - a);
+  const scoresByPrecision = {};
+  precisions.forEach(p => {
+    scoresByPrecision[p] = getBenchmarkScores(model, p);
+  });
+
+  const keys = Object.keys(scoresByPrecision[precisions[0]] || {});
+  if (keys.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'hint';
+    empty.textContent = 'No benchmarks recorded for this model.';
+    section.appendChild(empty);
+    return section;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'details-table';
+  const headRow = table.createTHead().insertRow();
+  headRow.appendChild(document.createElement('th')).textContent = 'Benchmark';
+  precisions.forEach(p => {
+    const th = document.createElement('th');
+    th.textContent = getPrecisionLabel(p);
+    if (p === model.defaultWeightBytes) th.className = 'selected-column';
+    headRow.appendChild(th);
+  });
+
+  const tbody = table.createTBody();
+  keys.forEach(key => {
+    const row = tbody.insertRow();
+    row.insertCell().textContent = getBenchmarkName(key);
+    precisions.forEach(p => {
+      const cell = row.insertCell();
+      const score = scoresByPrecision[p][key];
+      if (p === model.defaultWeightBytes) cell.className = 'selected-column';
+      if (!score || score.value === null) {
+        cell.textContent = '—';
+        cell.classList.add('readonly');
+      } else {
+        cell.textContent = score.value.toFixed(1);
+        if (score.estimated) {
+          cell.classList.add('estimated');
+          cell.title = 'Estimated: FP16 score × ' + QUANT_DEGRADATION[p];
+        }
+      }
+    });
+  });
+  section.appendChild(table);
+
+  const note = document.createElement('p');
+  note.className = 'hint';
+  note.textContent = 'Italic scores are estimated from the FP16 baseline using typical quantization loss.';
+  section.appendChild(note);
+
+  return section;
+}
+
+// KV cache and concurrency for average, p95 and longest requests
+function renderContextSection(model) {
+  const section = createDetailsSection('Context Distribution');
+
+  const table = document.createElement('table');
+  table.className = 'details-table';
+  const headRow = table.createTHead().insertRow();
+  ['Request', 'Tokens', 'KV cache', 'Concurrent'].forEach(label => {
+    headRow.appendChild(document.createElement('th')).textContent = label;
+  });
+  const tbody = table.createTBody();
+  const imageTokens = calculateImageTokens(model);
+  [['Average', model.defaultAvgTokens], ['p95', getContextP95(model)], ['Max', getContextMax(model)]].forEach(([label, tokens]) => {
+    const concurrent = calculateConcurrentAt(model, tokens);
+    const row = tbody.insertRow();
+    row.insertCell().textContent = label;
+    row.insertCell().textContent = (tokens + imageTokens).toLocaleString();
+    row.insertCell().textContent = formatGB(calculateRequestKVBytes(model, tokens + imageTokens) / 1e9);
+    const concurrentCell = row.insertCell();
+    concurrentCell.textContent = concurrent.toFixed(2);
+    if (concurrent < 1) concurrentCell.className = 'bw-high';
+  });
+  section.appendChild(table);
+
+  checkContextDistribution(model).forEach(warning => {
+    const item = document.createElement('p');
+    item.className = 'warning';
+    item.textContent = warning;
+    section.appendChild(item);
+  });
+
+  const note = document.createElement('p');
+  note.className = 'hint';
+  note.textContent = 'Concurrent is how many requests of that length fit in the ' + model.defaultKVBudget.toFixed(1) +
+    ' GB KV budget at once; the model\'s context window is ' + model.maxContext.toLocaleString() + ' tokens.' +
+    (imageTokens > 0 ? ' Tokens include ' + imageTokens.toLocaleString() + ' image tokens per request.' : '');
+  section.appendChild(note);
+
+  return section;
+}
+
+// Encoder batch latency, capacity and the load its items/s puts on a GPU
+function renderEncoderSection(model, modelIdx) {
+  const section = createDetailsSection('Encoder Throughput');
+  const unit = getEncoderItemUnit(model);
+  const pass = calculateEncoderPass(model, currentHardware, getModelShards(modelIdx));
+  const itemsPerSec = getEncoderItemsPerSec(model);
+  const limit = pass.computeSeconds >= pass.weightReadSeconds ? 'compute-bound' : 'weight-read bound';
+
+  const rows = [
+    ['Workload', itemsPerSec + ' ' + unit + '/s of ' + model.defaultAvgTokens.toLocaleString() + ' tokens'],
+    ['Compute per item', (calculateEncoderFlops(model) / 1e9).toFixed(1) + ' GFLOP'],
+    ['Batch', pass.batch + ' ' + unit + ' in ' + formatSeconds(pass.seconds) + ' (' + limit + ')'],
+    ['Capacity', formatTokensPerSec(pass.itemsPerSec) + ' ' + unit + '/s on ' + currentHardware.name],
+    ['Compute load', calculateComputePercent(model, currentHardware).toFixed(1) + '% of one GPU'],
+    ['Bandwidth', calculateBandwidth(model).toFixed(1) + ' GB/s of weight reads'],
+    ['Activations', formatGB(calculateActivationGB(model)) + ' per copy']
+  ];
+
+  appendDetailsRows(section, rows);
+
+  const warnings = checkContextDistribution(model);
+  if (pass.itemsPerSec < itemsPerSec) {
+    warnings.push('Needs ' + itemsPerSec + ' ' + unit + '/s but can encode ' + formatTokensPerSec(pass.itemsPerSec) +
+      '; shard it across more GPUs or lower the weight precision.');
+  }
+  warnings.forEach(warning => {
+    const item = document.createElement('p');
+    item.className = 'warning';
+    item.textContent = warning;
+    section.appendChild(item);
+  });
+
+  const note = document.createElement('p');
+  note.className = 'hint';
+  note.textContent = 'Each forward pass reads the weights once for the whole batch; larger batches amortize the reads ' +
+    'but hold more activation memory and take longer to return.';
+  section.appendChild(note);
+
+  return section;
+}
+
+// Image tokens per request and what they cost in KV cache, concurrency and prefill
+function renderVisionSection(model) {
+  const section = createDetailsSection('Vision Input');
+  const images = getImagesPerRequest(model);
+  const imageTokens = calculateImageTokens(model);
+  const textOnly = Object.assign({}, model, { defaultImagesPerRequest: 0 });
+
+  const rows = [
+    ['Per image', describeImageTokens(model)],
+    ['Per request', images + ' image' + (images === 1 ? '' : 's') + ', ' + imageTokens.toLocaleString() + ' tokens (' +
+      ((imageTokens / Math.max(1, getContextTokens(model))) * 100).toFixed(0) + '% of the context)'],
+    ['Vision encoder', calculateVisionWeightsGB(model).toFixed(2) + ' GB, ' +
+      (calculateVisionFlops(model) / 1e12).toFixed(2) + ' TFLOP per request']
+  ];
+  if (calculateKVPerToken(model) > 0) {
+    const imageKVBytes = calculateRequestKVBytes(model, getContextTokens(model)) - calculateRequestKVBytes(model, model.defaultAvgTokens);
+    rows.push(['Image KV cache', formatGB(imageKVBytes / 1e9) + ' per request']);
+    rows.push(['Max Concurrent', calculateMaxConcurrent(model).toFixed(2) + ' with images, ' +
+      calculateMaxConcurrent(textOnly).toFixed(2) + ' text only']);
+  }
+  rows.push(['TTFT', formatSeconds(calculateTTFT(model, currentHardware)) + ' with images, ' +
+    formatSeconds(calculateTTFT(textOnly, currentHardware)) + ' text only']);
+
+  appendDetailsRows(section, rows);
+
+  const note = document.createElement('p');
+  note.className = 'hint';
+  note.textContent = 'Token counts in the table are text only; image tokens are added to every request\'s context and prompt.';
+  section.appendChild(note);
+
+  return section;
+}
+
+// Draft model cost against the decode rate and bandwidth it saves
+function renderSpeculativeSection(model, modelIdx) {
+  const section = createDetailsSection('Speculative Decoding');
+  const draft = getDraftModel(model);
+  const shards = getModelShards(modelIdx);
+  const withoutDraft = Object.assign({}, model, { defaultDraftModelId: null });
+  const step = calculateDecodeStep(model, currentHardware, shards);
+  const plainStep = calculateDecodeStep(withoutDraft, currentHardware, shards);
+  const speedup = step.perUserTokensPerSec / plainStep.perUserTokensPerSec;
+  const draftKVBytes = calculateRequestKVBytes(model, getContextTokens(model)) -
+    calculateKVBytes(model, getContextTokens(model));
+
+  const rows = [
+    ['Draft model', draft.name + ', ' + calculateDraftWeightsGB(model).toFixed(2) + ' GB at ' +
+      getPrecisionLabel(draft.defaultWeightBytes)],
+    ['Draft KV cache', formatGB(draftKVBytes / 1e9) + ' per request'],
+    ['Per step', getDraftTokens(model) + ' drafted at ' + (getAcceptanceRate(model) * 100).toFixed(0) + '% acceptance, ' +
+      step.tokensPerStep.toFixed(2) + ' tokens kept'],
+    ['Decode tok/s', formatTokensPerSec(step.perUserTokensPerSec) + ' per user with the draft, ' +
+      formatTokensPerSec(plainStep.perUserTokensPerSec) + ' without (' + speedup.toFixed(2) + '×)'],
+    ['Bandwidth', calculateBandwidth(model).toFixed(1) + ' GB/s with the draft, ' +
+      calculateBandwidth(withoutDraft).toFixed(1) + ' GB/s without'],
+    ['Compute', (calculateComputeFlops(model) / 1e12).toFixed(2) + ' TFLOP/s with the draft, ' +
+      (calculateComputeFlops(withoutDraft) / 1e12).toFixed(2) + ' TFLOP/s without'],
+    ['Max Concurrent', calculateMaxConcurrent(model).toFixed(2) + ' with the draft, ' +
+      calculateMaxConcurrent(withoutDraft).toFixed(2) + ' without']
+  ];
+
+  appendDetailsRows(section, rows);
+
+  if (speedup < 1) {
+    const warning = document.createElement('p');
+    warning.className = 'warning';
+    warning.textContent = 'The draft costs more than it saves at this acceptance rate; draft fewer tokens or pick a smaller draft model.';
+    section.appendChild(warning);
+  }
+
+  const note = document.createElement('p');
+  note.className = 'hint';
+  note.textContent = 'Each step reads the draft ' + getDraftTokens(model) + ' times and the target once to verify every drafted ' +
+    'token, so the target\'s weights are read once per ' + step.tokensPerStep.toFixed(2) + ' tokens instead of once per token.';
+  section.appendChild(note);
+
+  return section;
+}
+
+// Adapter size, how many are held in VRAM and what a hot swap costs
+function renderLoraSection(model) {
+  const section = createDetailsSection('LoRA Adapters');
+  const adapterGB = calculateLoraAdapterGB(model);
+  const slots = getLoraSlots(model);
+  const pcie = currentHardware.pcieBandwidth;
+
+  const rows = [
+    ['Per adapter', (adapterGB * 1000).toFixed(1) + ' MB (' + (calculateLoraParams(model) / 1e6).toFixed(1) + 'M params at ' +
+      getPrecisionLabel(getLoraBytes(model)) + ')'],
+    ['Adapted', LORA_TARGETS[getLoraTargets(model)].label + ' at rank ' + getLoraRank(model) + ', ' + model.layers + ' layers'],
+    ['Resident', getLoraAdapters(model) + ' adapters, ' + formatGB(getLoraAdapters(model) * adapterGB)],
+    ['Hot-swap slots', slots + ' slots, ' + formatGB(slots * adapterGB)],
+    ['Total', formatGB(calculateLoraGB(model)) + ' (' + ((calculateLoraGB(model) / calculateWeightsGB(model)) * 100).toFixed(1) +
+      '% of the base weights)']
+  ];
+  if (slots > 0 && pcie) {
+    rows.push(['Swap in', formatSeconds(adapterGB / pcie) + ' per adapter over a ' + pcie + ' GB/s PCIe link']);
+  }
+
+  appendDetailsRows(section, rows);
+
+  const note = document.createElement('p');
+  note.className = 'hint';
+  note.textContent = 'All adapters share one copy of the base weights and the KV budget. MLP projections assume an ' +
+    'intermediate size of ' + LORA_MLP_RATIO + '× hiddenDim.';
+  section.appendChild(note);
+
+  return section;
+}
+
+// Expert layout, experts touched per decode step and offload traffic
+function renderExpertsSection(model) {
+  const section = createDetailsSection('Mixture of Experts');
+  const batch = getDecodeBatch(model);
+  const reads = calculateStepWeightReads(model, batch);
+  const pcieGBps = calculatePcieTraffic(model);
+
+  const rows = [
+    ['Routed experts', model.moe.experts + ' per layer, ' + model.moe.expertsPerToken + ' per token'],
+    ['Expert size', (calculateExpertParams(model) / 1e9).toFixed(2) + 'B params'],
+    ['Always active', ((model.moe.denseParams + model.moe.sharedExpertParams) / 1e9).toFixed(1) + 'B params (' +
+      (model.moe.sharedExpertParams / 1e9).toFixed(1) + 'B shared experts)'],
+    ['Touched per step', calculateDistinctExperts(model, batch).toFixed(1) + ' experts per layer at ' +
+      batch.toFixed(1) + ' concurrent requests'],
+    ['Read per step', reads.vramGB.toFixed(1) + ' GB from VRAM' +
+      (reads.offloadGB > 0 ? ' + ' + reads.offloadGB.toFixed(1) + ' GB over PCIe' : '')],
+    ['Offloaded to CPU RAM', calculateOffloadedWeightsGB(model).toFixed(1) + ' GB (' + (model.defaultOffloadPct || 0) + '% of experts)']
+  ];
+  if (pcieGBps > 0) {
+    const pcie = currentHardware.pcieBandwidth;
+    rows.push(['PCIe traffic', pcieGBps.toFixed(1) + ' GB/s' +
+      (pcie ? ' (' + ((pcieGBps / pcie) * 100).toFixed(0) + '% of a ' + pcie + ' GB/s link)' : '')]);
+  }
+
+  appendDetailsRows(section, rows);
+
+  const note = document.createElement('p');
+  note.className = 'hint';
+  note.textContent = 'Assumes tokens are routed uniformly; with skewed routing, offloading the coldest experts costs less PCIe traffic.';
+  section.appendChild(note);
+
+  return section;
+}
+
+function formatQuality(quality) {
+  if (!quality) return 'N/A';
+  return quality.score.toFixed(1) + (quality.estimated ? ' (est.)' : '');
+}
@@ -0,0 +1,136 @@
+/**
+ * AI Hardware Planner - Serving Engine
+ *
+ * The serving engine settings of the current plan: runtime overhead (see
+ * js/overhead.js) and the KV cache layout that turns a KV budget into
+ * concurrent requests (see calculateKVLayout in data/models.js). Starts
+ * from an engine preset (data/engines.js); every field is editable and
+ * saved with the scenario.
+ *
+ * Depends on:
+ *   - data/engines.js (ENGINES, DEFAULT_ENGINE_ID, getEngineById)
+ *   - data/models.js (calculateKVLayout, calculateKVBytes, calculateKVPerToken)
+ *   - js/state.js (saveState)
+ *   - js/app.js (renderTable, updateDisplay, readNumberInput, showErrorList)
+ */
+
+// Current settings: { engineId, ...the preset's defaults fields }
+let engineConfig = createEngineConfig(DEFAULT_ENGINE_ID);
+
+function createEngineConfig(engineId) {
+  const engine = getEngineById(engineId);
+  return Object.assign({ engineId: engine.id }, engine.defaults);
+}
+
+function validateEngineConfig(config) {
+  const errors = [];
+  const isNumber = value => typeof value === 'number' && isFinite(value) && value >= 0;
+  if (!config || typeof config !== 'object') return ['Engine settings are missing.'];
+  if (!ENGINES.some(e => e.id === config.engineId)) errors.push('Unknown engine "' + config.engineId + '".');
+  if (!isNumber(config.cudaContextGB)) errors.push('CUDA context must be at least 0 GB.');
+  if (!isNumber(config.batchTokens)) errors.push('Batch tokens must be at least 0.');
+  if (!isNumber(config.fragmentationPct) || config.fragmentationPct >= 100) errors.push('Fragmentation must be between 0 and 100%.');
+  if (!isNumber(config.memoryUtilization) || config.memoryUtilization <= 0 || config.memoryUtilization > 1) {
+    errors.push('Memory utilization must be greater than 0 and at most 1.');
+  }
+  if (!Number.isInteger(config.kvBlockTokens) || config.kvBlockTokens < 1) errors.push('KV block size must be a whole number of at least 1 token.');
+  if (!Number.isInteger(config.kvSlotTokens) || config.kvSlotTokens < 0) errors.push('Slot context must be a whole number of at least 0 tokens.');
+  if (!isNumber(config.kvPrefixSharePct) || config.kvPrefixSharePct > 100) errors.push('Shared prefix must be between 0 and 100%.');
+  return errors;
+}
+
+// Saved settings from before a field existed pick it up from their preset
+function completeEngineConfig(saved) {
+  return Object.assign(createEngineConfig(saved.engineId), saved);
+}
+
+// How the KV cache layout changes a model's concurrency, for tooltips
+function describeKVLayout(model, engine = engineConfig) {
+  if (calculateKVPerToken(model) === 0 || getContextTokens(model) === 0) return '';
+
+  const layout = calculateKVLayout(model, engine);
+  const idealBytes = calculateRequestKVBytes(model, getContextTokens(model));
+  const engineName = getEngineById(engine.engineId).name;
+  const idealConcurrent = (model.defaultKVBudget * 1e9) / idealBytes;
+
+  if (layout.type === 'paged') {
+    const wastePct = ((layout.bytesPerRequest - idealBytes) / layout.bytesPerRequest) * 100;
+    return engineName + ': ' + engine.kvBlockTokens + '-token blocks waste ' + wastePct.toFixed(1) +
+      '% per request (ideal ' + idealConcurrent.toFixed(2) + ')';
+  }
+  if (layout.type === 'slots') {
+    return engineName + ': each slot preallocates ' + layout.requestTokens +
+      ' tokens (ideal ' + idealConcurrent.toFixed(2) + ')';
+  }
+  if (layout.type === 'radix') {
+    return engineName + ': ' + layout.sharedTokens + ' shared prefix tokens stored once (ideal ' +
+      idealConcurrent.toFixed(2) + ')';
+  }
+  return 'Ideal, perfectly packed KV cache';
+}
+
+// Dialog
+
+function openEngineSettings() {
+  const select = document.getElementById('engPreset');
+  select.innerHTML = '';
+  ENGINES.forEach(engine => {
+    const option = document.createElement('option');
+    option.value = engine.id;
+    option.textContent = engine.name;
+    select.appendChild(option);
+  });
+  fillEngineForm(engineConfig);
+  document.getElementById('engineDialog').showModal();
+}
+
+function fillEngineForm(config) {
+  const engine = getEngineById(config.engineId);
+  document.getElementById('engPreset').value = config.engineId;
+  document.getElementById('engContext').value = config.cudaContextGB;
+  document.getElementById('engBatchTokens').value = config.batchTokens;
+  document.getElementById('engFragmentation').value = config.fragmentationPct;
+  document.getElementById('engUtilization').value = config.memoryUtilization;
+  document.getElementById('engBlockTokens').value = config.kvBlockTokens;
+  document.getElementById('engSlotTokens').value = config.kvSlotTokens;
+  document.getElementById('engPrefixShare').value = config.kvPrefixSharePct;
+  document.getElementById('engNotes').textContent = engine.notes;
+  document.getElementById('engineErrors').innerHTML = '';
+
+  // Only the KV field of the preset's layout applies
+  document.getElementById('engBlockTokens').closest('label').style.display = engine.kvLayout === 'paged' ? '' : 'none';
+  document.getElementById('engSlotTokens').closest('label').style.display = engine.kvLayout === 'slots' ? '' : 'none';
+  document.getElementById('engPrefixShare').closest('label').style.display = engine.kvLayout === 'radix' ? '' : 'none';
+}
+
+// Picking a preset replaces every field
+function selectEnginePreset() {
+  const config = createEngineConfig(document.getElementById('engPreset').value);
+  fillEngineForm(config);
+  applyEngineConfig(config);
+}
+
+function updateEngineFromForm() {
+  const config = {
+    engineId: document.getElementById('engPreset').value,
+    cudaContextGB: readNumberInput('engContext'),
+    batchTokens: readNumberInput('engBatchTokens'),
+    fragmentationPct: readNumberInput('engFragmentation'),
+    memoryUtilization: readNumberInput('engUtilization'),
+    kvBlockTokens: readNumberInput('engBlockTokens'),
+    kvSlotTokens: readNumberInput('engSlotTokens'),
+    kvPrefixSharePct: readNumberInput('engPrefixShare')
+  };
+
+  const errors = validateEngineConfig(config);
+  showErrorList('engineErrors', errors);
+  if (errors.length > 0) return;
+  applyEngineConfig(config);
+}
+
+function applyEngineConfig(config) {
+  engineConfig = config;
+  saveState();
+  renderTable();
+  updateDisplay();
+}
@@ -0,0 +1,420 @@
+/**
+ * AI Hardware Planner - Export / Import
+ *
+ * Exports the current plan for design docs and tickets:
+ *   - JSON: plan settings (re-importable) plus the calculated report
+ *   - CSV: one row per model, followed by the totals
+ *   - Markdown: summary and model tables
+ * Files are downloaded through a Blob URL, so this works from file://.
+ * Imported JSON is validated and opened as a new scenario.
+ *
+ * Depends on:
+ *   - data/hardware.js (getAllHardware, getHardwareById)
+ *   - data/models.js (MODELS, calculateWeightsGB, calculateKVPerToken, etc.)
+ *   - js/placement.js (planPlacement, summarizePlacement, formatPlacement)
+ *   - data/engines.js (getEngineById)
+ *   - js/compute.js (calculateTTFT, calculateDecodeStep, calculateEncoderPass)
+ *   - js/engine.js (engineConfig, completeEngineConfig, validateEngineConfig)
+ *   - js/app.js (currentHardware, calculateBandwidth, calculatePcieTraffic, showErrorList)
+ *   - js/state.js (capturePlanState)
+ *   - js/scenarios.js (scenarios, activeScenarioIndex, createScenarioName, switchScenario)
+ *   - js/replicas.js (describeReplicaRows, findReplicaBase, restoreReplicaRows)
+ */
+
+const PLAN_FILE_FORMAT = 'ai-hardware-planner-plan';
+const PLAN_FILE_VERSION = 1;
+
+// Report columns: [header, value(row)], shared by CSV and Markdown
+const REPORT_COLUMNS = [
+  ['Model', row => row.name],
+  ['Type', row => row.type],
+  ['Enabled', row => (row.enabled ? 'yes' : 'no')],
+  ['Replicas', row => String(row.replicas)],
+  ['Replica Of', row => row.replicaOf || ''],
+  ['Weight Precision', row => row.weightPrecision],
+  ['Weights (GB)', row => row.weightsGB.toFixed(1)],
+  ['Experts Offloaded (%)', row => (row.offloadPct === null ? 'N/A' : String(row.offloadPct))],
+  ['LoRA Adapters', row => (row.loraAdapters === null ? 'N/A' : row.loraAdapters + ' + ' + row.loraSlots + ' slots')],
+  ['LoRA (GB)', row => row.loraGB.toFixed(2)],
+  ['Quality', row => (row.quality === null ? 'N/A' : row.quality.toFixed(1))],
+  ['KV Precision', row => row.kvPrecision],
+  ['KV/Token (bytes)', row => String(row.kvPerTokenBytes)],
+  ['KV Budget (GB)', row => row.kvBudgetGB.toFixed(1)],
+  ['Avg Tokens/Req', row => String(row.avgTokens)],
+  ['p95 Tokens/Req', row => String(row.p95Tokens)],
+  ['Max Tokens/Req', row => String(row.maxTokens)],
+  ['Prompt Tokens', row => String(row.promptTokens)],
+  ['Images/Req', row => (row.imagesPerRequest === null ? 'N/A' : String(row.imagesPerRequest))],
+  ['Image Size (px)', row => (row.imageSize === null ? 'N/A' : row.imageSize)],
+  ['Image Tokens/Req', row => String(row.imageTokens)],
+  ['Max Concurrent', row => (row.maxConcurrent === 0 ? 'N/A' : row.maxConcurrent.toFixed(2))],
+  ['Concurrent at Max Tokens', row => (row.maxConcurrent === 0 ? 'N/A' : row.concurrentAtMaxTokens.toFixed(2))],
+  ['Context Warnings', row => row.contextWarnings.join(' ')],
+  ['Target tok/s', row => String(row.targetTokensPerSec)],
+  ['Items/s', row => (row.itemsPerSec === null ? 'N/A' : String(row.itemsPerSec))],
+  ['Encoder Batch', row => (row.encoderBatch === null ? 'N/A' : String(row.encoderBatch))],
+  ['Encoder Capacity (items/s)', row => (row.encoderItemsPerSec === null ? 'N/A' : row.encoderItemsPerSec.toFixed(1))],
+  ['Draft Model', row => (row.draftModel === null ? 'none' : row.draftModel)],
+  ['Draft Acceptance (%)', row => (row.draftModel === null ? 'N/A' : String(row.acceptancePct))],
+  ['Tokens/Step', row => row.tokensPerStep.toFixed(2)],
+  ['Decode tok/s per user', row => row.decodeTokensPerSecPerUser.toFixed(1)],
+  ['Decode tok/s total', row => row.decodeTokensPerSecTotal.toFixed(1)],
+  ['Bandwidth (GB/s)', row => row.bandwidthGBps.toFixed(1)],
+  ['PCIe (GB/s)', row => row.pcieGBps.toFixed(1)],
+  ['TTFT (s)', row => row.ttftSeconds.toFixed(3)],
+  ['Placement', row => row.placement]
+];
+
+// Report
+
+function buildPlanReport() {
+  const plan = planPlacement(MODELS, currentHardware);
+  const summary = summarizePlacement(plan, currentHardware);
+
+  const rows = MODELS.map((model, idx) => {
+    const placement = plan.placements[idx];
+    const shards = placement && placement.gpus.length > 0 ? placement.gpus.length : 1;
+    const quality = calculateQualityScore(model);
+    const step = calculateDecodeStep(model, currentHardware, shards);
+    const encoder = isEncoderModel(model);
+    const draft = getDraftModel(model);
+    return {
+      id: model.id,
+      name: model.name,
+      type: model.type,
+      enabled: model.enabled,
+      replicas: getReplicaCount(model),
+      replicaOf: model.replicaOf ? MODELS.find(m => m.id === model.replicaOf).name : null,
+      weightPrecision: getPrecisionLabel(model.defaultWeightBytes),
+      weightsGB: calculateWeightsGB(model),
+      offloadPct: model.moe ? model.defaultOffloadPct || 0 : null,
+      offloadedGB: calculateOffloadedWeightsGB(model),
+      loraAdapters: supportsLora(model) ? getLoraAdapters(model) : null,
+      loraSlots: supportsLora(model) ? getLoraSlots(model) : null,
+      loraRank: supportsLora(model) ? getLoraRank(model) : null,
+      loraTargets: supportsLora(model) ? LORA_TARGETS[getLoraTargets(model)].label : null,
+      loraGB: calculateLoraGB(model),
+      quality: quality ? quality.score : null,
+      kvPrecision: model.kvHeads === 0 ? 'N/A' : getPrecisionLabel(model.defaultKvBytes),
+      kvPerTokenBytes: calculateKVPerToken(model),
+      kvBudgetGB: model.defaultKVBudget,
+      avgTokens: model.defaultAvgTokens,
+      p95Tokens: getContextP95(model),
+      maxTokens: getContextMax(model),
+      promptTokens: model.defaultPromptTokens,
+      imagesPerRequest: model.vision ? getImagesPerRequest(model) : null,
+      imageSize: model.vision ? model.defaultImageWidth + 'x' + model.defaultImageHeight : null,
+      imageTokens: calculateImageTokens(model),
+      maxConcurrent: calculateMaxConcurrent(model),
+      concurrentAtMaxTokens: calculateConcurrentAt(model, getContextMax(model)),
+      contextWarnings: checkContextDistribution(model),
+      targetTokensPerSec: model.defaultTargetTokensPerSec,
+      itemsPerSec: encoder ? getEncoderItemsPerSec(model) : null,
+      encoderBatch: encoder ? getEncoderBatch(model) : null,
+      encoderItemsPerSec: encoder ? calculateEncoderPass(model, currentHardware, shards).itemsPerSec : null,
+      draftModel: draft ? draft.name : null,
+      draftTokens: draft ? getDraftTokens(model) : null,
+      acceptancePct: draft ? getAcceptanceRate(model) * 100 : null,
+      tokensPerStep: calculateTokensPerStep(model),
+      decodeTokensPerSecPerUser: step.perUserTokensPerSec,
+      decodeTokensPerSecTotal: step.aggregateTokensPerSec * getReplicaCount(model),
+      bandwidthGBps: calculateBandwidth(model),
+      pcieGBps: calculatePcieTraffic(model),
+      ttftSeconds: calculateTTFT(model, currentHardware, shards),
+      placement: formatPlacement(model.enabled ? placement : null)
+    };
+  });
+
+  return {
+    scenario: scenarios[activeScenarioIndex].name,
+    hardware: {
+      id: currentHardware.id,
+      name: currentHardware.name,
+      gpuCount: plan.gpuCount,
+      vramGB: currentHardware.vram,
+      bandwidthGBps: currentHardware.bandwidth
+    },
+    rows,
+    totals: {
+      usedGB: summary.usedGB,
+      overheadGB: summary.overheadGB,
+      overhead: {
+        engine: getEngineById(engineConfig.engineId).name,
+        contextGB: summary.overhead.contextGB,
+        activationGB: summary.overhead.activationGB,
+        fragmentationGB: summary.overhead.fragmentationGB,
+        reservedGB: summary.overhead.reservedGB
+      },
+      totalGB: summary.totalGB,
+      headroomGB: summary.headroomGB,
+      vramPct: summary.vramPct,
+      bandwidthGBps: summary.bandwidthGBps,
+      bandwidthPct: summary.bandwidthPct,
+      computePct: summary.computePct,
+      interconnectPct: summary.interconnectPct,
+      pcieGBps: summary.pcieGBps,
+      pciePct: summary.pciePct,
+      pass: summary.pass
+    }
+  };
+}
+
+// [label, value] pairs for the totals section of CSV and Markdown
+function getTotalsRows(report) {
+  const totals = report.totals;
+  const rows = [
+    ['Hardware', report.hardware.name],
+    ['Model VRAM (GB)', totals.usedGB.toFixed(1)],
+    ['Overhead (GB)', totals.overheadGB.toFixed(1)],
+    ['Overhead: engine', totals.overhead.engine],
+    ['Overhead: CUDA context (GB)', totals.overhead.contextGB.toFixed(1)],
+    ['Overhead: activations (GB)', totals.overhead.activationGB.toFixed(1)],
+    ['Overhead: fragmentation (GB)', totals.overhead.fragmentationGB.toFixed(1)],
+    ['Overhead: reserved (GB)', totals.overhead.reservedGB.toFixed(1)],
+    ['Total VRAM (GB)', totals.totalGB.toFixed(1) + ' / ' + report.hardware.vramGB],
+    ['Headroom (GB)', totals.headroomGB.toFixed(1)],
+    ['VRAM utilization', totals.vramPct.toFixed(1) + '%'],
+    ['Bandwidth (GB/s)', totals.bandwidthGBps.toFixed(1) + ' / ' + report.hardware.bandwidthGBps],
+    ['Bandwidth utilization', totals.bandwidthPct.toFixed(1) + '%'],
+    ['Compute utilization', totals.computePct.toFixed(1) + '%']
+  ];
+  if (totals.interconnectPct !== null) {
+    rows.push(['Interconnect utilization', totals.interconnectPct.toFixed(1) + '%']);
+  }
+  if (totals.pcieGBps > 0) {
+    rows.push(['PCIe (GB/s)', totals.pcieGBps.toFixed(1)]);
+    if (totals.pciePct !== null) rows.push(['PCIe utilization (busiest GPU)', totals.pciePct.toFixed(1) + '%']);
+  }
+  rows.push(['Result', totals.pass ? 'Pass' : 'Fail']);
+  return rows;
+}
+
+// Formats
+
+function buildPlanJson() {
+  const plan = capturePlanState();
+  const file = {
+    format: PLAN_FILE_FORMAT,
+    version: PLAN_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    name: scenarios[activeScenarioIndex].name,
+    plan,
+    // Lets another browser recreate the plan's replica rows
+    replicaRows: describeReplicaRows(Object.keys(plan.models)),
+    report: buildPlanReport()
+  };
+  return JSON.stringify(file, null, 2);
+}
+
+function escapeCsv(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function buildPlanCsv() {
+  const report = buildPlanReport();
+  const lines = [REPORT_COLUMNS.map(([header]) => escapeCsv(header)).join(',')];
+  report.rows.forEach(row => {
+    lines.push(REPORT_COLUMNS.map(([, value]) => escapeCsv(value(row))).join(','));
+  });
+  lines.push('');
+  getTotalsRows(report).forEach(([label, value]) => {
+    lines.push(escapeCsv(label) + ',' + escapeCsv(value));
+  });
+  return lines.join('\n') + '\n';
+}
+
+function escapeMarkdown(value) {
+  return String(value).replace(/\|/g, '\\|');
+}
+
+function buildPlanMarkdown() {
+  const report = buildPlanReport();
+  const enabledRows = report.rows.filter(row => row.enabled);
+  const tableRow = cells => '| ' + cells.map(escapeMarkdown).join(' | ') + ' |';
+
+  const lines = [
+    '# Capacity Plan: ' + report.scenario,
+    '',
+    '**Hardware:** ' + report.hardware.name + ' (' + report.hardware.gpuCount + ' GPU, ' +
+      report.hardware.vramGB + ' GB, ' + report.hardware.bandwidthGBps + ' GB/s)',
+    '',
+    '## Summary',
+    '',
+    tableRow(['Metric', 'Value']),
+    tableRow(['---', '---'])
+  ];
+  getTotalsRows(report).forEach(row => lines.push(tableRow(row)));
+
+  const columns = REPORT_COLUMNS.filter(([header]) => header !== 'Enabled');
+  lines.push('', '## Models', '');
+  lines.push(tableRow(columns.map(([header]) => header)));
+  lines.push(tableRow(columns.map(() => '---')));
+  enabledRows.forEach(row => lines.push(tableRow(columns.map(([, value]) => value(row)))));
+
+  const disabledCount = report.rows.length - enabledRows.length;
+  if (disabledCount > 0) {
+    lines.push('', '_' + disabledCount + ' disabled model(s) not shown._');
+  }
+  return lines.join('\n') + '\n';
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function getExportFilename(extension) {
+  const slug = scenarios[activeScenarioIndex].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return 'capacity-plan-' + (slug || 'plan') + '.' + extension;
+}
+
+function exportPlan(format) {
+  if (format === 'json') {
+    downloadFile(getExportFilename('json'), buildPlanJson(), 'application/json');
+  } else if (format === 'csv') {
+    downloadFile(getExportFilename('csv'), buildPlanCsv(), 'text/csv');
+  } else {
+    downloadFile(getExportFilename('md'), buildPlanMarkdown(), 'text/markdown');
+  }
+}
+
+// Import
+
+// Returns a list of problems; empty when the file can be imported
+function validatePlanFile(file) {
+  if (!file || typeof file !== 'object' || file.format !== PLAN_FILE_FORMAT) {
+    return ['Not an AI Hardware Planner plan file.'];
+  }
+  if (file.version > PLAN_FILE_VERSION) {
+    return ['Plan file version ' + file.version + ' is newer than this app supports.'];
+  }
+
+  const plan = file.plan;
+  if (!plan || typeof plan !== 'object' || !plan.models || typeof plan.models !== 'object') {
+    return ['Plan file has no model settings.'];
+  }
+
+  const errors = [];
+  if (!getAllHardware().some(hw => hw.id === plan.hardwareId)) {
+    errors.push('Unknown hardware id "' + plan.hardwareId + '".');
+  }
+  if (plan.engine !== undefined) {
+    if (!plan.engine || typeof plan.engine !== 'object') {
+      errors.push('Engine: settings must be an object.');
+    } else {
+      validateEngineConfig(completeEngineConfig(plan.engine)).forEach(error => errors.push('Engine: ' + error));
+    }
+  }
+
+  const isNumber = value => typeof value === 'number' && isFinite(value) && value >= 0;
+  const replicaRows = file.replicaRows && typeof file.replicaRows === 'object' ? file.replicaRows : {};
+  Object.keys(plan.models).forEach(id => {
+    // Replica rows missing here are checked against their base model
+    const model = MODELS.find(m => m.id === id) || findReplicaBase(id, replicaRows[id]);
+    const settings = plan.models[id];
+    if (!model) {
+      errors.push('Unknown model id "' + id + '".');
+      return;
+    }
+    if (!settings || typeof settings !== 'object') {
+      errors.push(model.name + ': settings must be an object.');
+      return;
+    }
+    if (typeof settings.enabled !== 'boolean') errors.push(model.name + ': enabled must be true or false.');
+    if (!model.weightBytesOptions.includes(settings.weightBytes)) {
+      errors.push(model.name + ': unsupported weight precision ' + settings.weightBytes + '.');
+    }
+    if (model.kvBytesOptions.length > 0 && !model.kvBytesOptions.includes(settings.kvBytes)) {
+      errors.push(model.name + ': unsupported KV precision ' + settings.kvBytes + '.');
+    }
+    ['kvBudget', 'avgTokens', 'targetTokensPerSec'].forEach(field => {
+      if (!isNumber(settings[field])) errors.push(model.name + ': ' + field + ' must be a number of at least 0.');
+    });
+    ['promptTokens', 'p95Tokens', 'maxTokens', 'itemsPerSec', 'imagesPerRequest', 'imageWidth', 'imageHeight'].forEach(field => {
+      if (settings[field] !== undefined && !isNumber(settings[field])) {
+        errors.push(model.name + ': ' + field + ' must be a number of at least 0.');
+      }
+    });
+    if (settings.offloadPct !== undefined && (!isNumber(settings.offloadPct) || settings.offloadPct > 100)) {
+      errors.push(model.name + ': offloadPct must be between 0 and 100.');
+    }
+    if (settings.encoderBatch !== undefined && !(isNumber(settings.encoderBatch) && settings.encoderBatch >= 1)) {
+      errors.push(model.name + ': encoderBatch must be a number of at least 1.');
+    }
+    if (settings.draftModelId !== undefined && settings.draftModelId !== null &&
+        !MODELS.some(m => m.id === settings.draftModelId && m.id !== id)) {
+      errors.push(model.name + ': unknown draft model id "' + settings.draftModelId + '".');
+    }
+    if (settings.draftTokens !== undefined && !(isNumber(settings.draftTokens) && settings.draftTokens >= 1)) {
+      errors.push(model.name + ': draftTokens must be a number of at least 1.');
+    }
+    if (settings.acceptancePct !== undefined && (!isNumber(settings.acceptancePct) || settings.acceptancePct > 100)) {
+      errors.push(model.name + ': acceptancePct must be between 0 and 100.');
+    }
+    if (settings.replicas !== undefined && !isValidReplicaCount(settings.replicas)) {
+      errors.push(model.name + ': replicas must be a whole number from 1 to ' + MAX_REPLICAS + '.');
+    }
+    ['loraAdapters', 'loraSlots'].forEach(field => {
+      if (settings[field] !== undefined && !isNumber(settings[field])) {
+        errors.push(model.name + ': ' + field + ' must be a number of at least 0.');
+      }
+    });
+    if (settings.loraRank !== undefined && !(isNumber(settings.loraRank) && settings.loraRank >= 1)) {
+      errors.push(model.name + ': loraRank must be a number of at least 1.');
+    }
+    if (settings.loraTargets !== undefined && !LORA_TARGETS[settings.loraTargets]) {
+      errors.push(model.name + ': loraTargets must be one of ' + Object.keys(LORA_TARGETS).join(', ') + '.');
+    }
+    if (settings.loraBytes !== undefined && ![1, 2].includes(settings.loraBytes)) {
+      errors.push(model.name + ': unsupported LoRA precision ' + settings.loraBytes + '.');
+    }
+  });
+
+  return errors;
+}
+
+function importPlanFile(event) {
+  const input = event.target;
+  const file = input.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    input.value = '';
+    let data;
+    try {
+      data = JSON.parse(reader.result);
+    } catch (e) {
+      showErrorList('importErrors', ['Could not read ' + file.name + ': ' + e.message]);
+      return;
+    }
+
+    const errors = validatePlanFile(data);
+    if (errors.length > 0) {
+      showErrorList('importErrors', errors);
+      return;
+    }
+
+    const name = typeof data.name === 'string' && data.name.trim() ? data.name : 'Imported plan';
+    restoreReplicaRows(data.replicaRows);
+    scenarios.push({ name: createScenarioName(name), hardwareId: data.plan.hardwareId, engine: data.plan.engine, models: data.plan.models });
+    switchScenario(scenarios.length - 1);
+    document.getElementById('exportDialog').close();
+  };
+  reader.readAsText(file);
+}
+
+// Dialog
+
+function openExportDialog() {
+  showErrorList('importErrors', []);
+  document.getElementById('exportDialog').showModal();
+}
@@ -0,0 +1,191 @@
+/**
+ * AI Hardware Planner - Custom Hardware Editor
+ *
+ * Create, clone, edit and delete hardware profiles in the app. Custom
+ * profiles live in CUSTOM_HARDWARE, are persisted to localStorage next to
+ * the planner state and show up after the built-in HARDWARE entries.
+ *
+ * Depends on:
+ *   - data/hardware.js (HARDWARE, CUSTOM_HARDWARE, getAllHardware, getHardwareById)
+ *   - js/app.js (currentHardware, saveState, populateHardwareSelect, renderTable, updateDisplay, addActionButton,
+ *     showErrorList)
+ */
+
+const CUSTOM_HARDWARE_KEY = 'aiHardwarePlannerCustomHardware';
+
+// Id of the custom profile being edited, null when creating a new one
+let editingHardwareId = null;
+
+// Persistence
+
+function loadCustomHardware() {
+  const saved = localStorage.getItem(CUSTOM_HARDWARE_KEY);
+  if (!saved) return;
+
+  try {
+    JSON.parse(saved).forEach(profile => {
+      const errors = validateHardwareProfile(profile);
+      if (errors.length === 0 && !HARDWARE.some(hw => hw.id === profile.id)) {
+        CUSTOM_HARDWARE.push(profile);
+      } else {
+        console.warn('Skipping invalid custom hardware profile:', profile, errors);
+      }
+    });
+  } catch (e) {
+    console.warn('Failed to load custom hardware:', e);
+  }
+}
+
+function saveCustomHardware() {
+  localStorage.setItem(CUSTOM_HARDWARE_KEY, JSON.stringify(CUSTOM_HARDWARE));
+}
+
+// Validation
+
+function validateHardwareProfile(profile) {
+  const errors = [];
+  const isPositive = value => typeof value === 'number' && isFinite(value) && value > 0;
+  const isOptional = value => value === null || (typeof value === 'number' && isFinite(value) && value >= 0);
+
+  if (!profile.name || !String(profile.name).trim()) errors.push('Name is required.');
+  if (!isPositive(profile.vram)) errors.push('VRAM must be greater than 0 GB.');
+  if (!isPositive(profile.bandwidth)) errors.push('Bandwidth must be greater than 0 GB/s.');
+  if (!Number.isInteger(profile.gpuCount) || profile.gpuCount < 1) errors.push('GPU count must be a whole number of at least 1.');
+  if (!isOptional(profile.interconnect)) errors.push('Interconnect must be empty or at least 0 GB/s.');
+  if (profile.pcieBandwidth !== undefined && !isOptional(profile.pcieBandwidth)) errors.push('PCIe bandwidth must be empty or at least 0 GB/s.');
+
+  const tflops = profile.tflops || {};
+  if (!isPositive(tflops.fp16)) errors.push('FP16 TFLOPS must be greater than 0.');
+  if (!isOptional(tflops.fp32)) errors.push('FP32 TFLOPS must be empty or at least 0.');
+  if (!isOptional(tflops.fp8)) errors.push('FP8 TFLOPS must be empty or at least 0.');
+
+  return errors;
+}
+
+// Unique id derived from the name
+function createHardwareId(name) {
+  const slug = 'custom-' + name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  let id = slug;
+  let suffix = 2;
+  while (getAllHardware().some(hw => hw.id === id)) {
+    id = slug + '-' + suffix++;
+  }
+  return id;
+}
+
+// Dialog
+
+function openHardwareEditor() {
+  resetHardwareForm();
+  renderHardwareList();
+  document.getElementById('hardwareEditorDialog').showModal();
+}
+
+function renderHardwareList() {
+  const tbody = document.getElementById('hardwareListBody');
+  tbody.innerHTML = '';
+
+  getAllHardware().forEach(hw => {
+    const isCustom = CUSTOM_HARDWARE.includes(hw);
+    const row = tbody.insertRow();
+    row.insertCell().textContent = hw.name + (isCustom ? '' : ' (built-in)');
+    row.insertCell().textContent = hw.gpuCount + '× · ' + hw.vram + ' GB · ' + hw.bandwidth + ' GB/s';
+
+    const actions = row.insertCell();
+    actions.className = 'row-actions';
+    addActionButton(actions, 'Clone', () => fillHardwareForm(hw, null));
+    if (isCustom) {
+      addActionButton(actions, 'Edit', () => fillHardwareForm(hw, hw.id));
+      addActionButton(actions, 'Delete', () => deleteHardware(hw.id));
+    }
+  });
+}
+
+function resetHardwareForm() {
+  editingHardwareId = null;
+  document.getElementById('hardwareForm').reset();
+  document.getElementById('hardwareFormTitle').textContent = 'New Hardware Profile';
+  document.getElementById('hardwareFormErrors').innerHTML = '';
+}
+
+// Load a profile into the form; editId null means the result is saved as a new profile
+function fillHardwareForm(hw, editId) {
+  resetHardwareForm();
+  editingHardwareId = editId;
+  document.getElementById('hardwareFormTitle').textContent = editId ? 'Edit ' + hw.name : 'New Hardware Profile';
+
+  const tflops = hw.tflops || {};
+  document.getElementById('hwName').value = editId ? hw.name : hw.name + ' (copy)';
+  document.getElementById('hwVram').value = hw.vram;
+  document.getElementById('hwBandwidth').value = hw.bandwidth;
+  document.getElementById('hwFp32').value = tflops.fp32 !== null && tflops.fp32 !== undefined ? tflops.fp32 : '';
+  document.getElementById('hwFp16').value = tflops.fp16 !== null && tflops.fp16 !== undefined ? tflops.fp16 : '';
+  document.getElementById('hwFp8').value = tflops.fp8 !== null && tflops.fp8 !== undefined ? tflops.fp8 : '';
+  document.getElementById('hwGpuCount').value = hw.gpuCount || 1;
+  document.getElementById('hwInterconnect').value = hw.interconnect !== null && hw.interconnect !== undefined ? hw.interconnect : '';
+  document.getElementById('hwPcie').value = hw.pcieBandwidth !== null && hw.pcieBandwidth !== undefined ? hw.pcieBandwidth : '';
+  document.getElementById('hwNotes').value = hw.notes || '';
+}
+
+function readHardwareForm() {
+  return {
+    name: document.getElementById('hwName').value.trim(),
+    vram: readNumberInput('hwVram'),
+    bandwidth: readNumberInput('hwBandwidth'),
+    tflops: {
+      fp32: readNumberInput('hwFp32'),
+      fp16: readNumberInput('hwFp16'),
+      fp8: readNumberInput('hwFp8')
+    },
+    gpuCount: readNumberInput('hwGpuCount'),
+    interconnect: readNumberInput('hwInterconnect'),
+    pcieBandwidth: readNumberInput('hwPcie'),
+    notes: document.getElementById('hwNotes').value.trim()
+  };
+}
+
+function saveHardwareForm(event) {
+  event.preventDefault();
+
+  const profile = readHardwareForm();
+  const errors = validateHardwareProfile(profile);
+  showErrorList('hardwareFormErrors', errors);
+  if (errors.length > 0) return;
+
+  if (editingHardwareId) {
+    const index = CUSTOM_HARDWARE.findIndex(hw => hw.id === editingHardwareId);
+    profile.id = editingHardwareId;
+    CUSTOM_HARDWARE[index] = profile;
+  } else {
+    profile.id = createHardwareId(profile.name);
+    CUSTOM_HARDWARE.push(profile);
+  }
+
+  saveCustomHardware();
+  // Pick up edits to the selected profile
+  currentHardware = getHardwareById(currentHardware.id);
+  refreshHardware();
+  resetHardwareForm();
+  renderHardwareList();
+}
+
+function deleteHardware(id) {
+  const hw = CUSTOM_HARDWARE.find(h => h.id === id);
+  if (!hw || !confirm('Delete hardware profile "' + hw.name + '"?')) return;
+
+  CUSTOM_HARDWARE.splice(CUSTOM_HARDWARE.indexOf(hw), 1);
+  saveCustomHardware();
+  if (currentHardware.id === id) {
+    currentHardware = getDefaultHardware();
+  }
+  refreshHardware();
+  if (editingHardwareId === id) resetHardwareForm();
+  renderHardwareList();
+}
+
+function refreshHardware() {
+  saveState();
+  populateHardwareSelect();
+  renderTable();
+  updateDisplay();
+}
@@ -0,0 +1,597 @@
+/**
+ * AI Hardware Planner - Custom Model Editor
+ *
+ * Add models without editing data/models.js. Architecture fields are derived
+ * from a Hugging Face config.json (pasted or loaded from a local file, so it
+ * works offline); the rest is filled in by hand. Custom models are appended
+ * to MODELS and persisted to localStorage.
+ *
+ * Depends on:
+ *   - data/models.js (MODELS)
+ *   - js/app.js (renderTable, updateDisplay, addActionButton, readNumberInput, showErrorList)
+ *   - js/state.js (saveState, defaultPlanState, captureModelSettings)
+ *   - js/scenarios.js (removeModelFromScenarios)
+ *   - js/details.js (detailsModelIndex, closeModelDetails)
+ *   - js/replicas.js (syncReplicaRows, removeReplicaRowsOf)
+ */
+
+const CUSTOM_MODELS_KEY = 'aiHardwarePlannerCustomModels';
+
+const MODEL_TYPES = ['Text', 'Text MoE', 'Code', 'Code MoE', 'Vision', 'Multimodal', 'Multimodal MoE', 'Embed', 'Rerank', 'Classifier'];
+
+// Id of the custom model being edited, null when adding a new one
+let editingModelId = null;
+
+// Persistence
+
+function loadCustomModels() {
+  const saved = localStorage.getItem(CUSTOM_MODELS_KEY);
+  if (!saved) return;
+
+  try {
+    JSON.parse(saved).forEach(model => {
+      const errors = validateModelDefinition(model);
+      if (errors.length === 0) {
+        // Off by default; scenarios that use the model have saved settings for it
+        model.enabled = false;
+        MODELS.push(model);
+      } else {
+        console.warn('Skipping invalid custom model:', model, errors);
+      }
+    });
+  } catch (e) {
+    console.warn('Failed to load custom models:', e);
+  }
+}
+
+function saveCustomModels() {
+  localStorage.setItem(CUSTOM_MODELS_KEY, JSON.stringify(MODELS.filter(m => m.custom)));
+}
+
+// Hugging Face config.json
+
+// First defined value among several config keys (architectures name them differently)
+function pickConfigValue(config, keys) {
+  for (const key of keys) {
+    if (config[key] !== undefined && config[key] !== null) return config[key];
+  }
+  return undefined;
+}
+
+// Derive MODELS architecture fields from a parsed config.json
+function deriveModelFromConfig(config) {
+  // Multimodal configs nest the language model under text_config
+  const text = config.text_config || config;
+
+  const layers = pickConfigValue(text, ['num_hidden_layers', 'n_layers', 'num_layers', 'n_layer']);
+  const hiddenDim = pickConfigValue(text, ['hidden_size', 'dim', 'd_model', 'n_embd']);
+  const numHeads = pickConfigValue(text, ['num_attention_heads', 'n_heads', 'n_head']);
+  if (!layers || !hiddenDim || !numHeads) {
+    throw new Error('config.json needs num_hidden_layers, hidden_size and num_attention_heads');
+  }
+
+  const kvHeads = pickConfigValue(text, ['num_key_value_heads', 'n_kv_heads']) || numHeads;
+  // MLA configs (DeepSeek) have no head_dim; their decoupled RoPE dims are part of latentDim
+  const headDim = pickConfigValue(text, ['head_dim', 'v_head_dim', 'qk_nope_head_dim']) || hiddenDim / numHeads;
+  const vocabSize = pickConfigValue(text, ['vocab_size']) || 0;
+  const maxContext = pickConfigValue(text, ['max_position_embeddings', 'n_positions', 'seq_length']) || 0;
+  // Llama 4 interleaves dense and MoE layers: its intermediate_size is the
+  // expert width, intermediate_size_mlp the dense MLP width, and every MoE
+  // layer adds one shared expert of the expert width. Scout (48 layers,
+  // hidden 5120, 16 experts of 8192, step 1) comes to 3 x 5120 x 8192 x
+  // (16 + 1) x 48 = 102.7B MLP params, about 107.8B in total and 17.2B active.
+  const interleaved = !!text.interleave_moe_layer_step;
+  const intermediate = (interleaved && text.intermediate_size_mlp) ||
+    pickConfigValue(text, ['intermediate_size', 'hidden_dim', 'ffn_dim', 'n_inner']) || 4 * hiddenDim;
+
+  // MoE: routed experts, experts per token, shared experts
+  const experts = pickConfigValue(text, ['num_local_experts', 'n_routed_experts', 'num_experts']) || 0;
+  const expertsPerToken = pickConfigValue(text, ['num_experts_per_tok', 'moe_topk']) || 0;
+  const expertIntermediate = interleaved
+    ? text.intermediate_size || intermediate
+    : pickConfigValue(text, ['moe_intermediate_size']) || intermediate;
+  let sharedIntermediate = text.shared_expert_intermediate_size ||
+    (text.n_shared_experts ? text.n_shared_experts * expertIntermediate : 0);
+  if (interleaved && !sharedIntermediate) sharedIntermediate = expertIntermediate;
+
+  // Layers without experts: DeepSeek's leading dense layers, Llama 4's interleaving
+  let moeLayers = 0;
+  if (experts > 0) {
+    if (text.interleave_moe_layer_step) {
+      moeLayers = Math.floor(layers / text.interleave_moe_layer_step);
+    } else {
+      moeLayers = layers - (text.first_k_dense_replace || 0);
+    }
+  }
+  const denseLayers = layers - moeLayers;
+
+  // Gated MLPs (SwiGLU) have three projections, classic GELU MLPs two
+  const gated = /silu|swiglu|swish/.test(String(pickConfigValue(text, ['hidden_act', 'activation', 'activation_function']) || 'silu'));
+  const mlpMatrices = gated ? 3 : 2;
+
+  let attentionParams = hiddenDim * numHeads * headDim * 2 + hiddenDim * kvHeads * headDim * 2;
+  if (text.kv_lora_rank) {
+    // MLA: queries and keys/values go through low-rank latents, keys get an extra RoPE part
+    const ropeDim = text.qk_rope_head_dim || 0;
+    const qkHeadDim = (text.qk_nope_head_dim || headDim) + ropeDim;
+    const queryParams = text.q_lora_rank
+      ? hiddenDim * text.q_lora_rank + text.q_lora_rank * numHeads * qkHeadDim
+      : hiddenDim * numHeads * qkHeadDim;
+    const kvParams = hiddenDim * (text.kv_lora_rank + ropeDim) + text.kv_lora_rank * numHeads * (qkHeadDim - ropeDim + headDim);
+    attentionParams = queryParams + kvParams + numHeads * headDim * hiddenDim;
+  }
+  const denseMlpParams = mlpMatrices * hiddenDim * intermediate;
+  const expertParams = mlpMatrices * hiddenDim * expertIntermediate;
+  const sharedParams = mlpMatrices * hiddenDim * sharedIntermediate;
+  const embeddingParams = vocabSize * hiddenDim * (text.tie_word_embeddings || config.tie_word_embeddings ? 1 : 2);
+
+  const commonParams = embeddingParams + layers * attentionParams + denseLayers * denseMlpParams + moeLayers * sharedParams;
+  const baseParams = commonParams + moeLayers * (experts * expertParams + hiddenDim * experts);
+  const activeParams = commonParams + moeLayers * expertsPerToken * expertParams;
+
+  const attention = deriveAttentionFromConfig(text, layers);
+  const vision = deriveVisionFromConfig(config);
+
+  const architecture = (config.architectures || [])[0] || '';
+  const isEncoder = /ForSequenceClassification|BertModel|ForMaskedLM/.test(architecture);
+  let type = experts > 0 ? 'Text MoE' : 'Text';
+  if (config.vision_config) type = experts > 0 ? 'Multimodal MoE' : 'Vision';
+  if (isEncoder) type = 'Classifier';
+
+  return {
+    name: String(config._name_or_path || architecture || '').split('/').pop(),
+    type,
+    layers,
+    hiddenDim,
+    numHeads,
+    kvHeads: isEncoder ? 0 : kvHeads,
+    headDim: isEncoder ? 0 : headDim,
+    attention: isEncoder ? null : attention,
+    vocabSize,
+    maxContext,
+    baseParams,
+    activeParams: experts > 0 ? activeParams : null,
+    vision,
+    moe: experts > 0 ? {
+      experts,
+      expertsPerToken,
+      sharedExpertParams: moeLayers * sharedParams,
+      denseParams: commonParams - moeLayers * sharedParams
+    } : null
+  };
+}
+
+// Vision encoder size and how images become tokens; null without vision_config
+function deriveVisionFromConfig(config) {
+  const visionConfig = config.vision_config;
+  if (!visionConfig) return null;
+
+  // ViT layers: attention projections plus a two-matrix MLP
+  const depth = pickConfigValue(visionConfig, ['depth', 'num_hidden_layers', 'num_layers']) || 0;
+  const hidden = pickConfigValue(visionConfig, ['hidden_size', 'embed_dim', 'width']) || 0;
+  const intermediate = pickConfigValue(visionConfig, ['intermediate_size', 'mlp_dim']) || 4 * hidden;
+  const vision = {
+    encoderParams: depth * (4 * hidden * hidden + 2 * hidden * intermediate),
+    patchSize: pickConfigValue(visionConfig, ['patch_size']) || 14,
+    mergeSize: 1
+  };
+
+  if (visionConfig.spatial_merge_size) {
+    // Qwen-VL: dynamic resolution, merged 2x2
+    vision.mergeSize = visionConfig.spatial_merge_size;
+  } else if (visionConfig.pixel_shuffle_ratio) {
+    // Llama 4: image_size tiles, pixel shuffle merges patches; the
+    // processor allows 16 tiles by default
+    vision.mergeSize = Math.round(1 / visionConfig.pixel_shuffle_ratio);
+    vision.tileSize = visionConfig.image_size;
+    vision.maxTiles = 16;
+  } else if (config.mm_tokens_per_image) {
+    // Gemma 3: every image is resized to a fixed token count
+    vision.tokensPerImage = config.mm_tokens_per_image;
+  }
+  return vision;
+}
+
+// MLA latent and sliding-window / chunked layers; null for plain attention
+function deriveAttentionFromConfig(text, layers) {
+  const attention = {};
+
+  // DeepSeek MLA caches the compressed KV latent plus the shared RoPE key
+  if (text.kv_lora_rank) {
+    attention.type = 'mla';
+    attention.latentDim = text.kv_lora_rank + (text.qk_rope_head_dim || 0);
+  }
+
+  if (text.attention_chunk_size) {
+    // Llama 4: chunked attention except on the NoPE layers (0 in no_rope_layers)
+    attention.window = text.attention_chunk_size;
+    attention.windowLayers = Array.isArray(text.no_rope_layers) && text.no_rope_layers.length > 0
+      ? text.no_rope_layers.filter(flag => flag).length
+      : layers - Math.floor(layers / (text.no_rope_layer_interval || 4));
+  } else if (text.sliding_window && text.use_sliding_window !== false) {
+    attention.window = text.sliding_window;
+    if (Array.isArray(text.layer_types)) {
+      attention.windowLayers = text.layer_types.filter(t => t === 'sliding_attention').length;
+    } else if (text.sliding_window_pattern || text.model_type === 'gemma2') {
+      // Gemma 3: every Nth layer is global; Gemma 2 alternates
+      attention.windowLayers = layers - Math.floor(layers / (text.sliding_window_pattern || 2));
+    } else if (text.max_window_layers !== undefined && text.use_sliding_window) {
+      // Qwen2: layers from max_window_layers on use the window
+      attention.windowLayers = Math.max(0, layers - text.max_window_layers);
+    } else {
+      attention.windowLayers = layers;
+    }
+    if (attention.windowLayers === 0) delete attention.window;
+  }
+
+  if (!attention.type && !attention.window) return null;
+  if (!attention.window) delete attention.windowLayers;
+  return attention;
+}
+
+// Validation
+
+function validateModelDefinition(model) {
+  const errors = [];
+  const isPositive = value => typeof value === 'number' && isFinite(value) && value > 0;
+  const isNonNegative = value => typeof value === 'number' && isFinite(value) && value >= 0;
+
+  if (!model.name || !String(model.name).trim()) errors.push('Name is required.');
+  if (MODELS.some(m => m.name === model.name && m.id !== model.id)) errors.push('A model named "' + model.name + '" already exists.');
+  if (!isPositive(model.layers)) errors.push('Layers must be greater than 0.');
+  if (!isPositive(model.hiddenDim)) errors.push('Hidden size must be greater than 0.');
+  if (!isPositive(model.numHeads)) errors.push('Attention heads must be greater than 0.');
+  if (!isNonNegative(model.kvHeads)) errors.push('KV heads must be 0 or more.');
+  if (!isNonNegative(model.headDim)) errors.push('Head dim must be 0 or more.');
+  if (model.attention) {
+    if (model.attention.type === 'mla' && !isPositive(model.attention.latentDim)) {
+      errors.push('MLA latent dim must be greater than 0.');
+    }
+    if (model.attention.window !== undefined && !isPositive(model.attention.window)) {
+      errors.push('Sliding window must be greater than 0 tokens.');
+    }
+    if (model.attention.windowLayers !== undefined &&
+        (!isNonNegative(model.attention.windowLayers) || model.attention.windowLayers > model.layers)) {
+      errors.push('Window layers must be between 0 and the number of layers.');
+    }
+  }
+  if (model.vision) {
+    if (!isNonNegative(model.vision.encoderParams)) errors.push('Vision encoder params must be 0 or more.');
+    if (!isPositive(model.vision.tokensPerImage) && !isPositive(model.vision.patchSize)) {
+      errors.push('Vision models need a patch size or tokens per image.');
+    }
+    if (model.vision.mergeSize !== undefined && !isPositive(model.vision.mergeSize)) errors.push('Merge size must be greater than 0.');
+    if (model.vision.tileSize !== undefined && !isPositive(model.vision.tileSize)) errors.push('Tile size must be greater than 0.');
+    if (!isNonNegative(model.defaultImagesPerRequest)) errors.push('Images per request must be 0 or more.');
+    if (!isPositive(model.defaultImageWidth) || !isPositive(model.defaultImageHeight)) {
+      errors.push('Image width and height must be greater than 0.');
+    }
+  }
+  if (!isPositive(model.baseParams)) errors.push('Total parameters must be greater than 0.');
+  if (model.activeParams !== null && model.activeParams !== undefined &&
+      (!isPositive(model.activeParams) || model.activeParams > model.baseParams)) {
+    errors.push('Active parameters must be between 0 and the total parameters.');
+  }
+  if (model.moe) {
+    if (!Number.isInteger(model.moe.experts) || model.moe.experts < 1) errors.push('Experts must be a whole number of at least 1.');
+    if (!Number.isInteger(model.moe.expertsPerToken) || model.moe.expertsPerToken < 1 || model.moe.expertsPerToken > model.moe.experts) {
+      errors.push('Experts per token must be a whole number between 1 and the number of experts.');
+    }
+    if (!isNonNegative(model.moe.sharedExpertParams)) errors.push('Shared expert params must be 0 or more.');
+    if (!isNonNegative(model.moe.denseParams)) errors.push('Dense params must be 0 or more.');
+    if (model.moe.sharedExpertParams + model.moe.denseParams >= model.baseParams) {
+      errors.push('Shared expert and dense params must leave room for the routed experts in the total.');
+    }
+  }
+  if (!isNonNegative(model.defaultKVBudget)) errors.push('KV budget must be 0 or more.');
+  if (!isNonNegative(model.defaultAvgTokens)) errors.push('Avg tokens must be 0 or more.');
+  if (model.defaultP95Tokens !== undefined && !isNonNegative(model.defaultP95Tokens)) errors.push('p95 tokens must be 0 or more.');
+  if (model.defaultMaxTokens !== undefined && !isNonNegative(model.defaultMaxTokens)) errors.push('Max tokens must be 0 or more.');
+  if (!isNonNegative(model.defaultTargetTokensPerSec)) errors.push('Target tok/s must be 0 or more.');
+  if (model.defaultItemsPerSec !== undefined && !isNonNegative(model.defaultItemsPerSec)) errors.push('Items/s must be 0 or more.');
+  if (model.defaultEncoderBatch !== undefined && (!Number.isInteger(model.defaultEncoderBatch) || model.defaultEncoderBatch < 1)) {
+    errors.push('Encoder batch must be a whole number of at least 1.');
+  }
+  if (model.defaultDraftTokens !== undefined && (!Number.isInteger(model.defaultDraftTokens) || model.defaultDraftTokens < 1)) {
+    errors.push('Draft tokens must be a whole number of at least 1.');
+  }
+  if (model.defaultAcceptancePct !== undefined && !(isNonNegative(model.defaultAcceptancePct) && model.defaultAcceptancePct <= 100)) {
+    errors.push('Draft acceptance must be between 0 and 100%.');
+  }
+  if (model.defaultReplicas !== undefined && !isValidReplicaCount(model.defaultReplicas)) {
+    errors.push('Replicas must be a whole number from 1 to ' + MAX_REPLICAS + '.');
+  }
+  ['defaultLoraAdapters', 'defaultLoraSlots'].forEach(field => {
+    if (model[field] !== undefined && (!Number.isInteger(model[field]) || model[field] < 0)) {
+      errors.push('LoRA adapters and slots must be whole numbers of 0 or more.');
+    }
+  });
+  if (model.defaultLoraRank !== undefined && (!Number.isInteger(model.defaultLoraRank) || model.defaultLoraRank < 1)) {
+    errors.push('LoRA rank must be a whole number of at least 1.');
+  }
+  if (model.defaultLoraTargets !== undefined && !LORA_TARGETS[model.defaultLoraTargets]) {
+    errors.push('LoRA targets must be one of ' + Object.keys(LORA_TARGETS).join(', ') + '.');
+  }
+
+  return errors;
+}
+
+function createModelId(name) {
+  const slug = 'custom-' + name.toLowerCase().replace(/[^a-z0-9.]+/g, '-').replace(/^-|-$/g, '');
+  let id = slug;
+  let suffix = 2;
+  while (MODELS.some(m => m.id === id)) {
+    id = slug + '-' + suffix++;
+  }
+  return id;
+}
+
+// Dialog
+
+function openModelEditor() {
+  const typeSelect = document.getElementById('mdType');
+  if (typeSelect.options.length === 0) {
+    MODEL_TYPES.forEach(type => {
+      typeSelect.appendChild(new Option(type, type));
+    });
+  }
+
+  resetModelForm();
+  renderCustomModelList();
+  document.getElementById('modelEditorDialog').showModal();
+}
+
+function renderCustomModelList() {
+  const tbody = document.getElementById('customModelListBody');
+  tbody.innerHTML = '';
+
+  MODELS.filter(m => m.custom).forEach(model => {
+    const row = tbody.insertRow();
+    row.insertCell().textContent = model.name;
+    row.insertCell().textContent = model.type + ' · ' + (model.baseParams / 1e9).toFixed(1) + 'B params';
+
+    const actions = row.insertCell();
+    actions.className = 'row-actions';
+    addActionButton(actions, 'Edit', () => fillModelForm(model));
+    addActionButton(actions, 'Delete', () => deleteCustomModel(model.id));
+  });
+}
+
+function resetModelForm() {
+  editingModelId = null;
+  document.getElementById('modelForm').reset();
+  document.getElementById('modelFormTitle').textContent = 'Add Model';
+  document.getElementById('modelFormErrors').innerHTML = '';
+  document.getElementById('configErrors').textContent = '';
+}
+
+// Fill the architecture fields (everything else keeps its current value)
+function fillArchitectureFields(fields) {
+  document.getElementById('mdName').value = fields.name || document.getElementById('mdName').value;
+  document.getElementById('mdType').value = fields.type;
+  document.getElementById('mdLayers').value = fields.layers;
+  document.getElementById('mdHiddenDim').value = fields.hiddenDim;
+  document.getElementById('mdNumHeads').value = fields.numHeads;
+  document.getElementById('mdKvHeads').value = fields.kvHeads;
+  document.getElementById('mdHeadDim').value = fields.headDim;
+  const attention = fields.attention || {};
+  document.getElementById('mdLatentDim').value = attention.type === 'mla' ? attention.latentDim : '';
+  document.getElementById('mdWindow').value = attention.window || '';
+  document.getElementById('mdWindowLayers').value = attention.window && attention.windowLayers !== undefined ? attention.windowLayers : '';
+  document.getElementById('mdVocabSize').value = fields.vocabSize;
+  document.getElementById('mdMaxContext').value = fields.maxContext;
+  document.getElementById('mdBaseParams').value = +(fields.baseParams / 1e9).toFixed(2);
+  document.getElementById('mdActiveParams').value = fields.activeParams ? +(fields.activeParams / 1e9).toFixed(2) : '';
+  const moe = fields.moe || {};
+  document.getElementById('mdExperts').value = moe.experts || '';
+  document.getElementById('mdExpertsPerToken').value = moe.expertsPerToken || '';
+  document.getElementById('mdSharedExpertParams').value = fields.moe ? +(moe.sharedExpertParams / 1e9).toFixed(2) : '';
+  document.getElementById('mdDenseParams').value = fields.moe ? +(moe.denseParams / 1e9).toFixed(2) : '';
+  const vision = fields.vision || {};
+  document.getElementById('mdVisionParams').value = fields.vision ? +(vision.encoderParams / 1e9).toFixed(2) : '';
+  document.getElementById('mdPatchSize').value = vision.patchSize || '';
+  document.getElementById('mdMergeSize').value = vision.mergeSize || '';
+  document.getElementById('mdTileSize').value = vision.tileSize || '';
+  document.getElementById('mdMaxTiles').value = vision.maxTiles || '';
+  document.getElementById('mdTokensPerImage').value = vision.tokensPerImage || '';
+}
+
+function fillModelForm(model) {
+  resetModelForm();
+  editingModelId = model.id;
+  document.getElementById('modelFormTitle').textContent = 'Edit ' + model.name;
+  fillArchitectureFields(model);
+  document.getElementById('mdWeightBytes').value = model.defaultWeightBytes;
+  document.getElementById('mdKvBytes').value = model.defaultKvBytes || 2;
+  document.getElementById('mdKvBudget').value = model.defaultKVBudget;
+  document.getElementById('mdAvgTokens').value = model.defaultAvgTokens;
+  document.getElementById('mdPromptTokens').value = model.defaultPromptTokens;
+  document.getElementById('mdP95Tokens').value = getContextP95(model);
+  document.getElementById('mdMaxTokens').value = getContextMax(model);
+  document.getElementById('mdTargetTokens').value = model.defaultTargetTokensPerSec;
+  document.getElementById('mdItemsPerSec').value = getEncoderItemsPerSec(model);
+  document.getElementById('mdEncoderBatch').value = getEncoderBatch(model);
+  if (model.vision) {
+    document.getElementById('mdImages').value = getImagesPerRequest(model);
+    document.getElementById('mdImageWidth').value = model.defaultImageWidth;
+    document.getElementById('mdImageHeight').value = model.defaultImageHeight;
+  }
+}
+
+function deriveFromConfigText() {
+  const errorEl = document.getElementById('configErrors');
+  errorEl.textContent = '';
+
+  try {
+    const config = JSON.parse(document.getElementById('configJson').value);
+    fillArchitectureFields(deriveModelFromConfig(config));
+  } catch (e) {
+    errorEl.textContent = 'Could not read config.json: ' + e.message;
+  }
+}
+
+function loadConfigFile(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    document.getElementById('configJson').value = reader.result;
+    deriveFromConfigText();
+  };
+  reader.readAsText(file);
+}
+
+// Attention descriptor from the form; null when it's plain MHA/GQA/MQA
+function readAttentionFields() {
+  const latentDim = readNumberInput('mdLatentDim');
+  const windowTokens = readNumberInput('mdWindow');
+  if (!latentDim && !windowTokens) return null;
+
+  const attention = {};
+  if (latentDim) {
+    attention.type = 'mla';
+    attention.latentDim = latentDim;
+  }
+  if (windowTokens) {
+    attention.window = windowTokens;
+    const windowLayers = readNumberInput('mdWindowLayers');
+    if (windowLayers !== null) attention.windowLayers = windowLayers;
+  }
+  return attention;
+}
+
+// Expert fields from the form; null for dense models
+function readMoeFields() {
+  const experts = readNumberInput('mdExperts');
+  if (!experts) return null;
+  return {
+    experts,
+    expertsPerToken: readNumberInput('mdExpertsPerToken'),
+    sharedExpertParams: (readNumberInput('mdSharedExpertParams') || 0) * 1e9,
+    denseParams: readNumberInput('mdDenseParams') * 1e9
+  };
+}
+
+// Vision encoder fields from the form; null for text-only models
+function readVisionFields() {
+  const encoderParams = readNumberInput('mdVisionParams');
+  if (encoderParams === null) return null;
+  const vision = { encoderParams: encoderParams * 1e9 };
+  [['patchSize', 'mdPatchSize'], ['mergeSize', 'mdMergeSize'], ['tileSize', 'mdTileSize'],
+    ['maxTiles', 'mdMaxTiles'], ['tokensPerImage', 'mdTokensPerImage']].forEach(([field, id]) => {
+    const value = readNumberInput(id);
+    if (value !== null) vision[field] = value;
+  });
+  return vision;
+}
+
+function readModelForm() {
+  const kvHeads = readNumberInput('mdKvHeads');
+  const hasKV = kvHeads > 0;
+  const activeParams = readNumberInput('mdActiveParams');
+
+  return {
+    id: editingModelId,
+    name: document.getElementById('mdName').value.trim(),
+    type: document.getElementById('mdType').value,
+    custom: true,
+
+    layers: readNumberInput('mdLayers'),
+    hiddenDim: readNumberInput('mdHiddenDim'),
+    numHeads: readNumberInput('mdNumHeads'),
+    kvHeads,
+    headDim: readNumberInput('mdHeadDim'),
+    attention: hasKV ? readAttentionFields() : null,
+    vocabSize: readNumberInput('mdVocabSize') || 0,
+    maxContext: readNumberInput('mdMaxContext') || 0,
+    baseParams: readNumberInput('mdBaseParams') * 1e9,
+    activeParams: activeParams ? activeParams * 1e9 : null,
+    moe: readMoeFields(),
+    vision: readVisionFields(),
+
+    weightBytesOptions: [0.5, 1, 2],
+    kvBytesOptions: hasKV ? [1, 2] : [],
+
+    defaultWeightBytes: readNumberInput('mdWeightBytes'),
+    defaultKvBytes: hasKV ? readNumberInput('mdKvBytes') : 0,
+    defaultKVBudget: hasKV ? readNumberInput('mdKvBudget') || 0 : 0,
+    defaultAvgTokens: readNumberInput('mdAvgTokens') || 0,
+    defaultPromptTokens: readNumberInput('mdPromptTokens') || 0,
+    defaultP95Tokens: readNumberInput('mdP95Tokens'),
+    defaultMaxTokens: readNumberInput('mdMaxTokens'),
+    defaultTargetTokensPerSec: readNumberInput('mdTargetTokens') || 0,
+    defaultItemsPerSec: readNumberInput('mdItemsPerSec') || 0,
+    defaultEncoderBatch: readNumberInput('mdEncoderBatch'),
+    defaultImagesPerRequest: readNumberInput('mdImages') || 0,
+    defaultImageWidth: readNumberInput('mdImageWidth'),
+    defaultImageHeight: readNumberInput('mdImageHeight'),
+    enabled: true,
+
+    benchmarks: { 2: {}, 1: {}, 0.5: {} }
+  };
+}
+
+function saveModelForm(event) {
+  event.preventDefault();
+
+  const model = readModelForm();
+  if (!model.activeParams) delete model.activeParams;
+  if (!model.attention) delete model.attention;
+  if (!model.moe) delete model.moe;
+  if (!model.vision) {
+    delete model.vision;
+    delete model.defaultImagesPerRequest;
+    delete model.defaultImageWidth;
+    delete model.defaultImageHeight;
+  }
+  if (model.defaultP95Tokens === null) model.defaultP95Tokens = model.defaultAvgTokens;
+  if (model.defaultMaxTokens === null) model.defaultMaxTokens = model.maxContext;
+  if (model.defaultEncoderBatch === null) model.defaultEncoderBatch = DEFAULT_ENCODER_BATCH;
+  const errors = validateModelDefinition(model);
+  showErrorList('modelFormErrors', errors);
+  if (errors.length > 0) return;
+
+  if (editingModelId) {
+    const index = MODELS.findIndex(m => m.id === editingModelId);
+    model.enabled = MODELS[index].enabled;
+    if (model.moe) model.defaultOffloadPct = MODELS[index].defaultOffloadPct;
+    // Replicas, the draft pairing and LoRA adapters are set in the table, not the form
+    ['defaultReplicas', 'defaultDraftModelId', 'defaultDraftTokens', 'defaultAcceptancePct', 'defaultLoraAdapters', 'defaultLoraSlots',
+      'defaultLoraRank', 'defaultLoraTargets', 'defaultLoraBytes'].forEach(field => {
+      if (MODELS[index][field] !== undefined) model[field] = MODELS[index][field];
+    });
+    MODELS[index] = model;
+    syncReplicaRows(model);
+  } else {
+    model.id = createModelId(model.name);
+    MODELS.push(model);
+    // Enabled in the current scenario only
+    defaultPlanState.models[model.id] = Object.assign(captureModelSettings(model), { enabled: false });
+  }
+
+  saveCustomModels();
+  refreshModels();
+  resetModelForm();
+  renderCustomModelList();
+}
+
+function deleteCustomModel(id) {
+  const index = MODELS.findIndex(m => m.id === id);
+  if (index < 0 || !confirm('Delete model "' + MODELS[index].name + '"?')) return;
+
+  if (detailsModelIndex !== null) closeModelDetails();
+  MODELS.splice(index, 1);
+  removeModelFromScenarios(id);
+  removeReplicaRowsOf(id);
+  saveCustomModels();
+  refreshModels();
+  if (editingModelId === id) resetModelForm();
+  renderCustomModelList();
+}
+
+function refreshModels() {
+  saveState();
+  renderTable();
+  updateDisplay();
+}
@@ -0,0 +1,273 @@
+/**
+ * AI Hardware Planner - Fleet Optimizer
+ *
+ * Searches weight precision, KV precision and KV budget for every enabled
+ * model to find plans that fit the selected hardware's VRAM, bandwidth and
+ * compute at the models' target tok/s, ranked by an objective:
+ *   - concurrency: total concurrent requests across all models
+ *   - quality: sum of average benchmark scores (concurrency breaks ties)
+ *
+ * Uses a beam search over models (largest first); every state kept in the
+ * beam must still pack onto the GPUs according to planPlacement.
+ *
+ * Depends on:
+ *   - data/models.js (calculateWeightsGB, calculateLoraGB, calculateKVPerToken, calculateKVBudgetFor, calculateMaxConcurrent,
+ *     calculateQualityScore)
+ *   - js/app.js (calculateBandwidth)
+ *   - js/placement.js (planPlacement, summarizePlacement)
+ *   - js/overhead.js (calculateOverheadComponents)
+ */
+
+const OPTIMIZER_BEAM_WIDTH = 150;
+const OPTIMIZER_PLAN_COUNT = 3;
+
+// KV budgets are offered in whole numbers of concurrent requests
+const OPTIMIZER_CONCURRENCY_STEPS = [1, 2, 4, 8, 16, 32, 64, 128, 256];
+
+let optimizerResults = [];
+
+function getKVBudgetOptions(model, hardware) {
+  if (calculateKVPerToken(model) * getContextTokens(model) === 0) return [model.defaultKVBudget];
+
+  // Sized under the engine's KV cache layout (block rounding, slots)
+  const budgets = [];
+  OPTIMIZER_CONCURRENCY_STEPS.forEach(n => {
+    const budget = calculateKVBudgetFor(model, n);
+    if (budget <= hardware.vram) budgets.push(budget);
+  });
+  return budgets;
+}
+
+// Every precision / budget combination for one model
+function getModelCandidates(model, hardware) {
+  const candidates = [];
+  const kvOptions = model.kvBytesOptions.length > 0 ? model.kvBytesOptions : [model.defaultKvBytes];
+
+  model.weightBytesOptions.forEach(weightBytes => {
+    kvOptions.forEach(kvBytes => {
+      const config = Object.assign({}, model, { defaultWeightBytes: weightBytes, defaultKvBytes: kvBytes });
+      getKVBudgetOptions(config, hardware).forEach(kvBudget => {
+        const variant = Object.assign({}, config, { defaultKVBudget: kvBudget });
+        const quality = calculateQualityScore(variant);
+        candidates.push({
+          weightBytes,
+          kvBytes,
+          kvBudget,
+          sizeGB: (calculateWeightsGB(variant) + calculateLoraGB(variant) + kvBudget) * getReplicaCount(variant),
+          bandwidthGBps: calculateBandwidth(variant),
+          concurrency: calculateMaxConcurrent(variant),
+          quality: quality ? quality.score : null
+        });
+      });
+    });
+  });
+
+  return candidates;
+}
+
+function scorePlan(objective, concurrency, qualitySum) {
+  return objective === 'quality' ? qualitySum + concurrency * 1e-3 : concurrency;
+}
+
+// Lower bound for pruning: fragmentation only, since context and activation
+// overhead depend on how models end up packed onto GPUs
+function fitsTotalVram(usedGB, hardware) {
+  const overhead = calculateOverheadComponents({ usedGB, activationGB: 0, processCount: 0 }, null);
+  return usedGB + overhead.totalGB <= hardware.vram;
+}
+
+// Returns up to `limit` plans, best first
+function optimizePlan(models, hardware, objective, limit = OPTIMIZER_PLAN_COUNT) {
+  const entries = models
+    .map((model, idx) => ({ model, idx }))
+    .filter(entry => entry.model.enabled)
+    .map(entry => {
+      const candidates = getModelCandidates(entry.model, hardware);
+      return {
+        idx: entry.idx,
+        candidates,
+        minSizeGB: Math.min(...candidates.map(c => c.sizeGB)),
+        minBandwidthGBps: Math.min(...candidates.map(c => c.bandwidthGBps))
+      };
+    })
+    .sort((a, b) => b.minSizeGB - a.minSizeGB);
+
+  // Smallest possible footprint of the models not yet assigned, for pruning
+  const minSizeAfter = [];
+  const minBandwidthAfter = [];
+  let sizeSum = 0;
+  let bandwidthSum = 0;
+  for (let i = entries.length - 1; i >= 0; i--) {
+    minSizeAfter[i] = sizeSum;
+    minBandwidthAfter[i] = bandwidthSum;
+    sizeSum += entries[i].minSizeGB;
+    bandwidthSum += entries[i].minBandwidthGBps;
+  }
+
+  let beam = [{ choices: [], usedGB: 0, bandwidthGBps: 0, concurrency: 0, qualitySum: 0 }];
+
+  entries.forEach((entry, i) => {
+    const next = [];
+    beam.forEach(state => {
+      entry.candidates.forEach(candidate => {
+        const usedGB = state.usedGB + candidate.sizeGB;
+        const bandwidthGBps = state.bandwidthGBps + candidate.bandwidthGBps;
+        if (!fitsTotalVram(usedGB + minSizeAfter[i], hardware)) return;
+        if (bandwidthGBps + minBandwidthAfter[i] > hardware.bandwidth) return;
+
+        next.push({
+          choices: state.choices.concat([Object.assign({ modelIdx: entry.idx }, candidate)]),
+          usedGB,
+          bandwidthGBps,
+          concurrency: state.concurrency + candidate.concurrency,
+          qualitySum: state.qualitySum + (candidate.quality || 0)
+        });
+      });
+    });
+
+    // Best states first; only those that still pack onto the GPUs enter the beam
+    next.sort((a, b) => scorePlan(objective, b.concurrency, b.qualitySum) - scorePlan(objective, a.concurrency, a.qualitySum));
+    beam = [];
+    for (const state of next) {
+      if (evaluateChoices(models, hardware, state.choices)) beam.push(state);
+      if (beam.length >= OPTIMIZER_BEAM_WIDTH) break;
+    }
+  });
+
+  // Best plan for each distinct set of per-model concurrency and quality, so
+  // alternatives differ meaningfully; choices that don't change the score
+  // (e.g. an embedding model's precision) don't make a new plan
+  const plans = [];
+  const seen = {};
+  for (const state of beam) {
+    const signature = state.choices.map(c => c.modelIdx + ':' + c.concurrency.toFixed(2) + '/' + c.quality).sort().join(',');
+    if (seen[signature]) continue;
+    seen[signature] = true;
+
+    const placement = evaluateChoices(models, hardware, state.choices);
+    const qualities = state.choices.filter(c => c.quality !== null);
+    plans.push({
+      choices: state.choices.slice().sort((a, b) => a.modelIdx - b.modelIdx),
+      concurrency: state.concurrency,
+      quality: qualities.length > 0 ? state.qualitySum / qualities.length : null,
+      vramPct: summarizePlacement(placement, hardware).vramPct,
+      bandwidthPct: (state.bandwidthGBps / hardware.bandwidth) * 100
+    });
+    if (plans.length >= limit) break;
+  }
+
+  return plans;
+}
+
+// Place the chosen models (others disabled); returns the placement if every
+// GPU stays within its VRAM, bandwidth, compute and PCIe link, otherwise null
+function evaluateChoices(models, hardware, choices) {
+  const variants = models.map((model, idx) => {
+    const choice = choices.find(c => c.modelIdx === idx);
+    if (!choice) return Object.assign({}, model, { enabled: false });
+    return Object.assign({}, model, {
+      defaultWeightBytes: choice.weightBytes,
+      defaultKvBytes: choice.kvBytes,
+      defaultKVBudget: choice.kvBudget
+    });
+  });
+
+  const placement = planPlacement(variants, hardware);
+  if (!placement.fits) return null;
+  if (placement.gpus.some(gpu => gpu.bandwidthGBps > placement.gpuBandwidth)) return null;
+  if (placement.gpus.some(gpu => gpu.computePct > 100)) return null;
+  if (hardware.pcieBandwidth && placement.gpus.some(gpu => gpu.pcieGBps > hardware.pcieBandwidth)) return null;
+  return placement;
+}
+
+// Dialog
+
+function openOptimizer() {
+  document.getElementById('optimizerResults').innerHTML = '';
+  document.getElementById('optimizerDialog').showModal();
+  runOptimizer();
+}
+
+function runOptimizer() {
+  const objective = document.getElementById('optimizerObjective').value;
+  optimizerResults = optimizePlan(MODELS, currentHardware, objective);
+  renderOptimizerResults();
+}
+
+function renderOptimizerResults() {
+  const container = document.getElementById('optimizerResults');
+  container.innerHTML = '';
+
+  if (optimizerResults.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'hint';
+    empty.textContent = 'No combination of precisions and KV budgets fits ' + currentHardware.name +
+      '. Disable a model or lower its target tok/s.';
+    container.appendChild(empty);
+    return;
+  }
+
+  optimizerResults.forEach((plan, planIdx) => {
+    const card = document.createElement('div');
+    card.className = 'plan-card';
+
+    const header = document.createElement('div');
+    header.className = 'plan-card-header';
+    const summary = document.createElement('span');
+    summary.textContent = 'Plan ' + (planIdx + 1) + ': ' +
+      plan.concurrency.toFixed(1) + ' concurrent' +
+      (plan.quality !== null ? ' · quality ' + plan.quality.toFixed(1) : '') +
+      ' · VRAM ' + plan.vramPct.toFixed(0) + '%' +
+      ' · BW ' + plan.bandwidthPct.toFixed(0) + '%';
+    header.appendChild(summary);
+
+    const applyButton = document.createElement('button');
+    applyButton.type = 'button';
+    applyButton.className = 'button primary';
+    applyButton.textContent = 'Apply';
+    applyButton.onclick = () => applyOptimizerPlan(plan);
+    header.appendChild(applyButton);
+    card.appendChild(header);
+
+    const table = document.createElement('table');
+    table.className = 'details-table';
+    const headRow = table.createTHead().insertRow();
+    ['Model', 'Weights', 'KV', 'KV Budget (GB)', 'Concurrent'].forEach(label => {
+      headRow.appendChild(document.createElement('th')).textContent = label;
+    });
+
+    const tbody = table.createTBody();
+    plan.choices.forEach(choice => {
+      const model = MODELS[choice.modelIdx];
+      const row = tbody.insertRow();
+      row.insertCell().textContent = model.name;
+      addPlanCell(row, getPrecisionLabel(choice.weightBytes), choice.weightBytes !== model.defaultWeightBytes);
+      addPlanCell(row, choice.kvBytes ? getPrecisionLabel(choice.kvBytes) : 'N/A', choice.kvBytes !== model.defaultKvBytes);
+      addPlanCell(row, choice.kvBudget.toFixed(1), choice.kvBudget !== model.defaultKVBudget);
+      addPlanCell(row, choice.concurrency === 0 ? 'N/A' : choice.concurrency.toFixed(2), false);
+    });
+    card.appendChild(table);
+
+    container.appendChild(card);
+  });
+}
+
+function addPlanCell(row, text, changed) {
+  const cell = row.insertCell();
+  cell.textContent = text;
+  if (changed) cell.className = 'changed';
+}
+
+function applyOptimizerPlan(plan) {
+  plan.choices.forEach(choice => {
+    const model = MODELS[choice.modelIdx];
+    model.defaultWeightBytes = choice.weightBytes;
+    model.defaultKvBytes = choice.kvBytes;
+    model.defaultKVBudget = choice.kvBudget;
+  });
+
+  document.getElementById('optimizerDialog').close();
+  saveState();
+  renderTable();
+  updateDisplay();
+}
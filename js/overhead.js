@@ -0,0 +1,59 @@
+/**
+ * AI Hardware Planner - Runtime Overhead
+ *
+ * VRAM used on each GPU beyond weights and KV cache, split into:
+ *   - CUDA context: fixed per serving process (one per model shard)
+ *   - Activations: workspace for one forward pass, scaled by batch tokens
+ *     and hidden size (for encoders, their batch of items plus its
+ *     attention scores)
+ *   - Fragmentation: share of weights + KV cache lost to the allocator
+ *   - Reserved: VRAM the engine is told not to use (gpu_memory_utilization)
+ *
+ * Depends on:
+ *   - js/engine.js (engineConfig)
+ *   - js/placement.js (ACTIVATION_BYTES)
+ *   - data/models.js (isEncoderModel, getEncoderBatch)
+ */
+
+// Activation tensors per token per layer pass, in multiples of hiddenDim
+// (attention projections + gated MLP intermediates)
+const ACTIVATION_FACTOR = 12;
+
+// Activation / workspace memory for one forward pass of a model (GB, whole model)
+function calculateActivationGB(model, engine = engineConfig) {
+  if (isEncoderModel(model)) {
+    // A whole batch of items in one pass, plus one layer's attention
+    // scores (every token against every token, per head)
+    const batch = getEncoderBatch(model);
+    const tokens = model.defaultAvgTokens;
+    const hiddenBytes = batch * tokens * model.hiddenDim * ACTIVATION_FACTOR;
+    const scoreBytes = batch * model.numHeads * tokens * tokens;
+    return ((hiddenBytes + scoreBytes) * ACTIVATION_BYTES) / 1e9;
+  }
+  return (engine.batchTokens * model.hiddenDim * ACTIVATION_FACTOR * ACTIVATION_BYTES) / 1e9;
+}
+
+// Overhead on one GPU; `load` has usedGB (weights + KV), activationGB and
+// processCount. Pass gpuVram null for memory not on a real GPU (unplaced
+// models), which has nothing reserved.
+function calculateOverheadComponents(load, gpuVram, engine = engineConfig) {
+  const contextGB = load.processCount * engine.cudaContextGB;
+  const activationGB = load.activationGB;
+  const fragmentationGB = load.usedGB * (engine.fragmentationPct / 100);
+  const reservedGB = gpuVram && load.processCount > 0 ? gpuVram * (1 - engine.memoryUtilization) : 0;
+  return {
+    contextGB,
+    activationGB,
+    fragmentationGB,
+    reservedGB,
+    totalGB: contextGB + activationGB + fragmentationGB + reservedGB
+  };
+}
+
+function addOverheadComponents(a, b) {
+  const sum = {};
+  Object.keys(a).forEach(key => {
+    sum[key] = a[key] + b[key];
+  });
+  return sum;
+}
@@ -0,0 +1,301 @@
+/**
+ * AI Hardware Planner - Multi-GPU Placement
+ *
+ * Assigns every enabled model to specific GPUs of the selected hardware,
+ * respecting per-GPU VRAM limits. A model is placed on a single GPU when it
+ * fits, otherwise it is sharded across 2, 4, ... GPUs:
+ *   - Tensor parallel (TP), splitting the attention heads, when the
+ *     hardware's interconnect can carry its per-layer all-reduces
+ *   - Pipeline parallel (PP), splitting the layers into stages, when there
+ *     is no interconnect or TP's traffic would exceed it
+ *
+ * Every model shard runs as its own process, so each adds a CUDA context
+ * and activation workspace to its GPU (see js/overhead.js).
+ *
+ * A model with several replicas (see getReplicaCount) places each one as
+ * its own copy with its own weights, KV budget and traffic, preferring GPUs
+ * that don't already hold a copy of the same base model.
+ *
+ * Depends on:
+ *   - data/models.js (calculateWeightsGB, calculateLoraGB, getReplicaCount, getReplicaBaseId)
+ *   - js/app.js (calculateBandwidth, calculatePcieTraffic)
+ *   - js/engine.js (engineConfig)
+ *   - js/overhead.js (calculateActivationGB, calculateOverheadComponents)
+ *   - js/compute.js (calculateComputePercent, calculateAggregateTargetTokens)
+ */
+
+// Activations exchanged between GPUs are FP16/BF16
+const ACTIVATION_BYTES = 2;
+
+function getGpuCount(hardware) {
+  return Math.max(1, hardware.gpuCount || 1);
+}
+
+function getGpuVram(hardware) {
+  return hardware.vram / getGpuCount(hardware);
+}
+
+function getGpuBandwidth(hardware) {
+  return hardware.bandwidth / getGpuCount(hardware);
+}
+
+// Interconnect traffic (GB/s) generated by one sharded model during decode
+function calculateInterconnectTraffic(model, strategy, shards, engine = engineConfig) {
+  if (shards < 2) return 0;
+  const tokensPerSec = calculateAggregateTargetTokens(model, engine);
+  const activationGB = (model.hiddenDim * ACTIVATION_BYTES) / 1e9;
+
+  if (strategy === 'tensor') {
+    // Two all-reduces per layer (attention output + MLP output); a ring
+    // all-reduce moves 2 * (n - 1) / n of the message through each GPU
+    const ringFactor = (2 * (shards - 1)) / shards;
+    return tokensPerSec * model.layers * 2 * activationGB * ringFactor;
+  }
+
+  // Pipeline: each token's activations cross every stage boundary once
+  return tokensPerSec * (shards - 1) * activationGB;
+}
+
+// Whether one shard of `load` still fits on the GPU, overhead included
+function gpuFits(gpu, load, shards, gpuVram, engine) {
+  const after = {
+    usedGB: gpu.usedGB + (load.weightsGB + load.loraGB + load.kvGB) / shards,
+    activationGB: gpu.activationGB + load.activationGB / shards,
+    processCount: gpu.processCount + 1
+  };
+  return after.usedGB + calculateOverheadComponents(after, gpuVram, engine).totalGB <= gpuVram;
+}
+
+function assignToGpu(gpu, modelIdx, replica, load, shards) {
+  const item = { modelIdx, replica };
+  Object.keys(load).forEach(key => {
+    item[key] = load[key] / shards;
+    gpu[key] += item[key];
+  });
+  gpu.usedGB += item.weightsGB + item.loraGB + item.kvGB;
+  gpu.processCount++;
+  gpu.items.push(item);
+}
+
+// Shard counts worth trying for a model: powers of two up to gpuCount.
+// Tensor parallel splits the attention heads, so the count must divide
+// them; pipeline parallel splits the layers, one stage per GPU.
+function getShardOptions(model, gpuCount, strategy) {
+  const options = [];
+  for (let n = 2; n <= gpuCount; n *= 2) {
+    const splits = strategy === 'pipeline' ? model.layers >= n : !model.numHeads || model.numHeads % n === 0;
+    if (splits) options.push(n);
+  }
+  return options;
+}
+
+// Strategy and shard count for a model too large for one GPU, over `gpus`
+// emptiest first; null if it fits no split. Tensor parallel is preferred
+// while the interconnect carries its all-reduces (tensorGBps); otherwise
+// pipeline stages only pass each token's activations along. Tensor
+// parallel stays the last resort over a saturated link.
+function chooseSharding(model, gpus, load, hardware, gpuVram, engine) {
+  const fitsOn = n => gpus.slice(0, n).every(gpu => gpuFits(gpu, load, n, gpuVram, engine));
+  const tensorShards = hardware.interconnect ? getShardOptions(model, gpus.length, 'tensor').find(fitsOn) : undefined;
+  const tensorGBps = tensorShards ? calculateInterconnectTraffic(model, 'tensor', tensorShards, engine) : null;
+  if (tensorShards && tensorGBps <= hardware.interconnect) {
+    return { strategy: 'tensor', shards: tensorShards, tensorGBps };
+  }
+
+  const pipelineShards = getShardOptions(model, gpus.length, 'pipeline').find(fitsOn);
+  if (pipelineShards) return { strategy: 'pipeline', shards: pipelineShards, tensorGBps };
+  return tensorShards ? { strategy: 'tensor', shards: tensorShards, tensorGBps } : null;
+}
+
+// Place every enabled model; returns per-GPU usage and per-model
+// placements. A model's placement is its first replica's ('none' if any
+// replica did not fit), with every replica's in `replicas`.
+function planPlacement(models, hardware, engine = engineConfig) {
+  const gpuCount = getGpuCount(hardware);
+  const gpuVram = getGpuVram(hardware);
+  const gpus = [];
+  for (let i = 0; i < gpuCount; i++) {
+    gpus.push({ index: i, weightsGB: 0, loraGB: 0, kvGB: 0, activationGB: 0, usedGB: 0, processCount: 0, bandwidthGBps: 0, pcieGBps: 0, computePct: 0, items: [] });
+  }
+
+  const placements = {};
+  const unplaced = [];
+  let unplacedGB = 0;
+  let unplacedActivationGB = 0;
+  let unplacedBandwidthGBps = 0;
+  let interconnectGBps = 0;
+
+  // Largest models first so they get the emptiest GPUs
+  const order = models
+    .map((model, idx) => ({ model, idx }))
+    .filter(entry => entry.model.enabled)
+    .sort((a, b) => {
+      const sizeA = calculateWeightsGB(a.model) + calculateLoraGB(a.model) + a.model.defaultKVBudget;
+      const sizeB = calculateWeightsGB(b.model) + calculateLoraGB(b.model) + b.model.defaultKVBudget;
+      return sizeB - sizeA;
+    });
+
+  order.forEach(({ model, idx }) => {
+    const load = {
+      weightsGB: calculateWeightsGB(model),
+      loraGB: calculateLoraGB(model),
+      kvGB: model.defaultKVBudget,
+      activationGB: calculateActivationGB(model, engine),
+      bandwidthGBps: calculateBandwidth(model, engine),
+      pcieGBps: calculatePcieTraffic(model, engine),
+      computePct: calculateComputePercent(model, hardware, engine)
+    };
+    const sizeGB = load.weightsGB + load.loraGB + load.kvGB;
+    // Copies of the same base model, replica rows included
+    const baseId = getReplicaBaseId(model);
+    const holdsCopy = gpu => gpu.items.some(item => getReplicaBaseId(models[item.modelIdx]) === baseId);
+
+    const replicas = [];
+    for (let replica = 0; replica < getReplicaCount(model); replica++) {
+      // Whole model on one GPU: the emptiest one without a copy yet, to
+      // spread bandwidth load
+      const candidates = gpus
+        .filter(gpu => gpuFits(gpu, load, 1, gpuVram, engine))
+        .sort((a, b) => holdsCopy(a) - holdsCopy(b) || a.usedGB - b.usedGB);
+      if (candidates.length > 0) {
+        assignToGpu(candidates[0], idx, replica, load, 1);
+        replicas.push({ strategy: 'single', gpus: [candidates[0].index], interconnectGBps: 0 });
+        continue;
+      }
+
+      // Shard across the emptiest GPUs
+      const byFreeSpace = gpus.slice().sort((a, b) => a.usedGB - b.usedGB);
+      const sharding = chooseSharding(model, byFreeSpace, load, hardware, gpuVram, engine);
+
+      if (!sharding) {
+        if (!unplaced.includes(idx)) unplaced.push(idx);
+        unplacedGB += sizeGB;
+        unplacedActivationGB += load.activationGB;
+        unplacedBandwidthGBps += load.bandwidthGBps;
+        replicas.push({ strategy: 'none', gpus: [], interconnectGBps: 0 });
+        continue;
+      }
+
+      const shardGpus = byFreeSpace.slice(0, sharding.shards);
+      shardGpus.forEach(gpu => assignToGpu(gpu, idx, replica, load, sharding.shards));
+
+      const traffic = calculateInterconnectTraffic(model, sharding.strategy, sharding.shards, engine);
+      interconnectGBps += traffic;
+      replicas.push({
+        strategy: sharding.strategy,
+        gpus: shardGpus.map(gpu => gpu.index).sort((a, b) => a - b),
+        interconnectGBps: traffic,
+        tensorGBps: sharding.tensorGBps
+      });
+    }
+
+    const placement = replicas.find(r => r.strategy === 'none') || replicas[0];
+    placements[idx] = Object.assign({}, placement, { replicas });
+  });
+
+  return {
+    gpuCount,
+    gpuVram,
+    gpuBandwidth: getGpuBandwidth(hardware),
+    gpus,
+    placements,
+    unplaced,
+    unplacedGB,
+    unplacedActivationGB,
+    unplacedBandwidthGBps,
+    interconnectGBps,
+    engine,
+    fits: unplaced.length === 0
+  };
+}
+
+// Hardware-wide totals for a placement (unplaced models count toward usage)
+function summarizePlacement(plan, hardware) {
+  let usedGB = plan.unplacedGB;
+  let overhead = calculateOverheadComponents({
+    usedGB: plan.unplacedGB,
+    activationGB: plan.unplacedActivationGB,
+    processCount: plan.unplaced.length
+  }, null, plan.engine);
+  let bandwidthGBps = plan.unplacedBandwidthGBps;
+  let computePct = 0;
+  plan.gpus.forEach(gpu => {
+    usedGB += gpu.usedGB;
+    overhead = addOverheadComponents(overhead, calculateOverheadComponents(gpu, plan.gpuVram, plan.engine));
+    bandwidthGBps += gpu.bandwidthGBps;
+    computePct += gpu.computePct;
+  });
+
+  const overheadGB = overhead.totalGB;
+  const totalGB = usedGB + overheadGB;
+  const bandwidthFits = plan.gpus.every(gpu => gpu.bandwidthGBps <= plan.gpuBandwidth);
+  const computeFits = plan.gpus.every(gpu => gpu.computePct <= 100);
+  const interconnectPct = hardware.interconnect ? (plan.interconnectGBps / hardware.interconnect) * 100 : null;
+  const interconnectFits = interconnectPct === null || interconnectPct <= 100;
+
+  // Offloaded MoE experts stream over each GPU's own PCIe link; the busiest one limits
+  const pcieGBps = plan.gpus.reduce((sum, gpu) => sum + gpu.pcieGBps, 0);
+  const busiestPcieGBps = Math.max(0, ...plan.gpus.map(gpu => gpu.pcieGBps));
+  const pciePct = hardware.pcieBandwidth ? (busiestPcieGBps / hardware.pcieBandwidth) * 100 : null;
+  const pcieFits = pciePct === null || pciePct <= 100;
+
+  return {
+    usedGB,
+    overheadGB,
+    overhead,
+    totalGB,
+    headroomGB: hardware.vram - totalGB,
+    vramPct: (totalGB / hardware.vram) * 100,
+    bandwidthGBps,
+    bandwidthPct: (bandwidthGBps / hardware.bandwidth) * 100,
+    computePct: computePct / plan.gpuCount,
+    interconnectPct,
+    pcieGBps,
+    pciePct,
+    fits: plan.fits,
+    bandwidthFits,
+    computeFits,
+    interconnectFits,
+    pcieFits,
+    pass: plan.fits && bandwidthFits && computeFits && interconnectFits && pcieFits
+  };
+}
+
+// Which sharding strategy a placement uses and why; '' when not sharded
+function describePlacementStrategy(placement, hardware) {
+  if (!placement) return '';
+  const sharded = (placement.replicas || [placement]).find(r => r.strategy === 'tensor' || r.strategy === 'pipeline');
+  if (!sharded) return '';
+
+  const link = hardware.name + '\'s ' + hardware.interconnect + ' GB/s interconnect';
+  if (sharded.strategy === 'tensor') {
+    const reason = sharded.tensorGBps <= hardware.interconnect
+      ? ', which ' + link + ' carries'
+      : ', more than ' + link + ' carries, but no pipeline split fits';
+    return 'Tensor parallel: every layer is split across ' + sharded.gpus.length + ' GPUs; its all-reduces need ' +
+      sharded.tensorGBps.toFixed(1) + ' GB/s' + reason;
+  }
+
+  let reason = hardware.name + ' has no interconnect for tensor parallel all-reduces';
+  if (hardware.interconnect) {
+    reason = sharded.tensorGBps === null
+      ? 'no tensor parallel split of the attention heads fits'
+      : 'tensor parallel all-reduces would need ' + sharded.tensorGBps.toFixed(1) + ' GB/s, more than ' + link;
+  }
+  return 'Pipeline parallel: the layers are split into ' + sharded.gpus.length + ' stages passing ' +
+    sharded.interconnectGBps.toFixed(1) + ' GB/s of activations, since ' + reason;
+}
+
+function formatPlacement(placement) {
+  if (!placement) return '—';
+  // Replicas are listed in order, e.g. "GPU 0 | GPU 1 | Does not fit"
+  if (placement.replicas && placement.replicas.length > 1) {
+    return placement.replicas.map(replica => formatPlacement(replica)).join(' | ');
+  }
+  if (placement.strategy === 'none') return 'Does not fit';
+
+  const gpuList = 'GPU ' + placement.gpus.join(',');
+  if (placement.strategy === 'single') return gpuList;
+  const prefix = placement.strategy === 'tensor' ? 'TP' : 'PP';
+  return prefix + '×' + placement.gpus.length + ' · ' + gpuList;
+}
@@ -0,0 +1,171 @@
+/**
+ * AI Hardware Planner - Replica Rows
+ *
+ * A replica row is another copy of a model with its own settings, e.g. a
+ * Llama-3.1-8B replica at INT8 next to the FP16 one. It is a MODELS entry
+ * with replicaOf set to the base model's id, listed under the base row.
+ * Rows are rebuilt from their base model at startup, so only their ids are
+ * persisted to localStorage; their settings are saved with the plan like
+ * any other model's. Identical copies use a row's replica count instead
+ * (see getReplicaCount).
+ *
+ * Depends on:
+ *   - data/models.js (MODELS, getReplicaBaseId)
+ *   - js/state.js (defaultPlanState, captureModelSettings, applyModelSettings)
+ *   - js/scenarios.js (removeModelFromScenarios)
+ *   - js/details.js (detailsModelIndex, closeModelDetails)
+ *   - js/model-editor.js (refreshModels)
+ */
+
+const REPLICA_ROWS_KEY = 'aiHardwarePlannerReplicaRows';
+
+// Persistence
+
+function loadReplicaRows() {
+  const saved = localStorage.getItem(REPLICA_ROWS_KEY);
+  if (!saved) return;
+
+  try {
+    JSON.parse(saved).forEach(entry => {
+      const base = MODELS.find(m => m.id === entry.replicaOf && !m.replicaOf);
+      if (base && !MODELS.some(m => m.id === entry.id)) {
+        insertReplicaRow(createReplicaRow(base, entry.id));
+      } else {
+        console.warn('Skipping replica row without its base model:', entry);
+      }
+    });
+  } catch (e) {
+    console.warn('Failed to load replica rows:', e);
+  }
+}
+
+function saveReplicaRows() {
+  const rows = MODELS.filter(m => m.replicaOf).map(m => ({ id: m.id, replicaOf: m.replicaOf }));
+  localStorage.setItem(REPLICA_ROWS_KEY, JSON.stringify(rows));
+}
+
+// Rows
+
+// Copy of `base` (settings included) under a new id, named after the
+// number at the end of the id
+function createReplicaRow(base, id) {
+  const row = JSON.parse(JSON.stringify(base));
+  row.id = id;
+  row.replicaOf = base.id;
+  row.name = base.name + ' (replica ' + id.slice(id.lastIndexOf('-') + 1) + ')';
+  row.defaultReplicas = 1;
+  row.enabled = false;
+  delete row.custom;
+  return row;
+}
+
+function createReplicaId(base) {
+  let number = 2;
+  while (MODELS.some(m => m.id === base.id + '-replica-' + number)) {
+    number++;
+  }
+  return base.id + '-replica-' + number;
+}
+
+// Model indices of a model's base row and all of its replica rows
+function getReplicaGroup(modelIdx) {
+  const baseId = getReplicaBaseId(MODELS[modelIdx]);
+  const group = [];
+  MODELS.forEach((model, idx) => {
+    if (getReplicaBaseId(model) === baseId) group.push(idx);
+  });
+  return group;
+}
+
+// Insert below the last row of its group so replicas sit under their base
+function insertReplicaRow(row) {
+  let last = -1;
+  MODELS.forEach((model, idx) => {
+    if (getReplicaBaseId(model) === row.replicaOf) last = idx;
+  });
+  MODELS.splice(last + 1, 0, row);
+}
+
+// Adds a replica row copying the row at modelIdx, settings included. It
+// starts disabled in every other scenario.
+function addReplicaRow(modelIdx) {
+  const source = MODELS[modelIdx];
+  const base = MODELS.find(m => m.id === getReplicaBaseId(source));
+  const row = createReplicaRow(base, createReplicaId(base));
+  applyModelSettings(row, captureModelSettings(source));
+  row.defaultReplicas = 1;
+  row.enabled = true;
+
+  if (detailsModelIndex !== null) closeModelDetails();
+  insertReplicaRow(row);
+  defaultPlanState.models[row.id] = Object.assign(captureModelSettings(row), { enabled: false });
+  saveReplicaRows();
+  refreshModels();
+}
+
+function removeReplicaRow(id) {
+  const index = MODELS.findIndex(m => m.id === id);
+  if (index < 0 || !confirm('Remove "' + MODELS[index].name + '"?')) return;
+
+  if (detailsModelIndex !== null) closeModelDetails();
+  MODELS.splice(index, 1);
+  removeModelFromScenarios(id);
+  saveReplicaRows();
+  refreshModels();
+}
+
+// Drops the replica rows of a deleted custom model
+function removeReplicaRowsOf(baseId) {
+  for (let i = MODELS.length - 1; i >= 0; i--) {
+    if (MODELS[i].replicaOf === baseId) {
+      removeModelFromScenarios(MODELS[i].id);
+      MODELS.splice(i, 1);
+    }
+  }
+  saveReplicaRows();
+}
+
+// Rebuilds the replica rows of an edited custom model from its new
+// definition, keeping their settings
+function syncReplicaRows(base) {
+  MODELS.forEach((model, idx) => {
+    if (model.replicaOf !== base.id) return;
+    const row = createReplicaRow(base, model.id);
+    applyModelSettings(row, captureModelSettings(model));
+    MODELS[idx] = row;
+  });
+}
+
+// Shared and imported plans
+
+// Replica rows among modelIds as { id: replicaOf }, so a plan opened in
+// another browser can recreate them
+function describeReplicaRows(modelIds) {
+  const rows = {};
+  modelIds.forEach(id => {
+    const model = MODELS.find(m => m.id === id);
+    if (model && model.replicaOf) rows[id] = model.replicaOf;
+  });
+  return rows;
+}
+
+// The base model a missing replica row can be recreated from, or null
+function findReplicaBase(id, replicaOf) {
+  if (typeof replicaOf !== 'string' || id.indexOf(replicaOf + '-replica-') !== 0) return null;
+  if (MODELS.some(m => m.id === id)) return null;
+  return MODELS.find(m => m.id === replicaOf && !m.replicaOf) || null;
+}
+
+// Recreates the rows of describeReplicaRows() that don't exist here yet.
+// They start disabled in every other scenario, like added rows.
+function restoreReplicaRows(rows) {
+  const ids = Object.keys(rows || {}).filter(id => findReplicaBase(id, rows[id]));
+  if (ids.length === 0) return;
+
+  ids.forEach(id => {
+    const base = findReplicaBase(id, rows[id]);
+    insertReplicaRow(createReplicaRow(base, id));
+    defaultPlanState.models[id] = Object.assign({}, defaultPlanState.models[base.id], { enabled: false, replicas: 1 });
+  });
+  saveReplicaRows();
+}
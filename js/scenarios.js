@@ -0,0 +1,294 @@
+/**
+ * AI Hardware Planner - Scenarios
+ *
+ * Named plans ("prod chat cluster", "dev box", ...) that each hold a
+ * hardware selection and per-model settings. The active scenario is what
+ * the table edits; saveState() writes it back. Scenarios can be created,
+ * switched between, duplicated, renamed, deleted and diffed.
+ *
+ * Depends on:
+ *   - data/hardware.js (getHardwareById)
+ *   - data/models.js (MODELS, getPrecisionLabel, getDraftModel)
+ *   - data/engines.js (getEngineById)
+ *   - js/state.js (applyPlanState, applyModelSettings, getPlanEngine, persistScenarios, defaultPlanState)
+ *   - js/app.js (populateHardwareSelect, renderTable, updateDisplay, addActionButton)
+ *   - js/comparison.js (evaluateHardware)
+ */
+
+const DEFAULT_SCENARIO_NAME = 'Default';
+
+// Each scenario is { name, hardwareId, models: { [modelId]: saved settings } }
+let scenarios = [];
+let activeScenarioIndex = 0;
+
+// Unique name, adding a numeric suffix when taken
+function createScenarioName(name) {
+  const base = name.trim() || 'Scenario';
+  let candidate = base;
+  let suffix = 2;
+  while (scenarios.some(s => s.name === candidate)) {
+    candidate = base + ' ' + suffix++;
+  }
+  return candidate;
+}
+
+// Forget a deleted model's settings in every scenario
+function removeModelFromScenarios(modelId) {
+  scenarios.forEach(scenario => {
+    if (scenario.models) delete scenario.models[modelId];
+  });
+  delete defaultPlanState.models[modelId];
+}
+
+// Scenario actions
+
+function switchScenario(index) {
+  if (!scenarios[index]) return;
+  activeScenarioIndex = index;
+  applyPlanState(scenarios[index]);
+  persistScenarios();
+  refreshScenario();
+}
+
+function createScenario(name) {
+  scenarios.push(Object.assign({ name: createScenarioName(name) }, defaultPlanState, { hardwareId: currentHardware.id }));
+  switchScenario(scenarios.length - 1);
+}
+
+function duplicateScenario(index) {
+  const copy = JSON.parse(JSON.stringify(scenarios[index]));
+  copy.name = createScenarioName(scenarios[index].name + ' (copy)');
+  scenarios.push(copy);
+  switchScenario(scenarios.length - 1);
+}
+
+function renameScenario(index) {
+  const scenario = scenarios[index];
+  const name = prompt('Rename scenario:', scenario.name);
+  if (name === null || !name.trim() || name.trim() === scenario.name) return;
+
+  scenario.name = createScenarioName(name);
+  persistScenarios();
+  populateScenarioSelect();
+  renderScenarioList();
+}
+
+function deleteScenario(index) {
+  if (scenarios.length <= 1) return;
+  if (!confirm('Delete scenario "' + scenarios[index].name + '"?')) return;
+
+  const wasActive = index === activeScenarioIndex;
+  scenarios.splice(index, 1);
+  if (index < activeScenarioIndex || activeScenarioIndex >= scenarios.length) {
+    activeScenarioIndex--;
+  }
+  if (wasActive) applyPlanState(scenarios[activeScenarioIndex]);
+  persistScenarios();
+  refreshScenario();
+}
+
+function refreshScenario() {
+  populateScenarioSelect();
+  populateHardwareSelect();
+  renderTable();
+  updateDisplay();
+  if (document.getElementById('scenarioDialog').open) {
+    renderScenarioList();
+  }
+}
+
+// Header dropdown
+
+function populateScenarioSelect() {
+  const select = document.getElementById('scenarioSelect');
+  select.innerHTML = '';
+  scenarios.forEach((scenario, idx) => {
+    const option = document.createElement('option');
+    option.value = idx;
+    option.textContent = scenario.name;
+    option.selected = idx === activeScenarioIndex;
+    select.appendChild(option);
+  });
+}
+
+// Dialog
+
+function openScenarios() {
+  document.getElementById('newScenarioName').value = '';
+  renderScenarioList();
+  document.getElementById('scenarioDialog').showModal();
+}
+
+function addScenarioFromForm(event) {
+  event.preventDefault();
+  const input = document.getElementById('newScenarioName');
+  createScenario(input.value);
+  input.value = '';
+}
+
+function renderScenarioList() {
+  const tbody = document.getElementById('scenarioListBody');
+  tbody.innerHTML = '';
+
+  scenarios.forEach((scenario, idx) => {
+    const row = tbody.insertRow();
+    const enabledCount = Object.values(scenario.models || {}).filter(m => m.enabled).length;
+    row.insertCell().textContent = scenario.name + (idx === activeScenarioIndex ? ' (active)' : '');
+    row.insertCell().textContent = getHardwareById(scenario.hardwareId).name + ' · ' + enabledCount + ' models';
+
+    const actions = row.insertCell();
+    actions.className = 'row-actions';
+    if (idx !== activeScenarioIndex) {
+      addActionButton(actions, 'Load', () => switchScenario(idx));
+    }
+    addActionButton(actions, 'Duplicate', () => duplicateScenario(idx));
+    addActionButton(actions, 'Rename', () => renameScenario(idx));
+    if (scenarios.length > 1) {
+      addActionButton(actions, 'Delete', () => deleteScenario(idx));
+    }
+  });
+
+  renderScenarioDiffSelects();
+  renderScenarioDiff();
+}
+
+// Diff
+
+function renderScenarioDiffSelects() {
+  ['diffScenarioA', 'diffScenarioB'].forEach((id, n) => {
+    const select = document.getElementById(id);
+    const previous = select.value;
+    select.innerHTML = '';
+    scenarios.forEach((scenario, idx) => {
+      const option = document.createElement('option');
+      option.value = idx;
+      option.textContent = scenario.name;
+      select.appendChild(option);
+    });
+    // Default to the active scenario against the next one
+    select.value = scenarios[previous] ? previous : Math.min(activeScenarioIndex + n, scenarios.length - 1);
+  });
+}
+
+// Copies of MODELS with a scenario's settings applied
+function buildScenarioModels(scenario) {
+  const variants = MODELS.map(model => {
+    const variant = Object.assign({}, model);
+    if (defaultPlanState.models[model.id]) applyModelSettings(variant, defaultPlanState.models[model.id]);
+    if (scenario.models && scenario.models[model.id]) applyModelSettings(variant, scenario.models[model.id]);
+    return variant;
+  });
+  // Drafts are sized with this scenario's settings, not the table's
+  variants.forEach(variant => {
+    const draft = getDraftModel(variant, variants);
+    if (draft) variant.draftModel = draft;
+  });
+  return variants;
+}
+
+function evaluateScenario(scenario) {
+  return evaluateHardware(buildScenarioModels(scenario), getHardwareById(scenario.hardwareId), getPlanEngine(scenario));
+}
+
+// Per-model setting changes between two model variants, as "Label: a → b"
+function describeModelChanges(a, b) {
+  const fields = [
+    ['Enabled', m => (m.enabled ? 'on' : 'off')],
+    ['Replicas', m => String(getReplicaCount(m))],
+    ['Weights', m => getPrecisionLabel(m.defaultWeightBytes)],
+    ['KV', m => (m.defaultKvBytes ? getPrecisionLabel(m.defaultKvBytes) : 'N/A')],
+    ['KV budget', m => m.defaultKVBudget.toFixed(1) + ' GB'],
+    ['Avg tokens', m => String(m.defaultAvgTokens)],
+    ['p95 tokens', m => String(getContextP95(m))],
+    ['Max tokens', m => String(getContextMax(m))],
+    ['Prompt tokens', m => String(m.defaultPromptTokens)],
+    ['Target tok/s', m => String(m.defaultTargetTokensPerSec)],
+    ['Items/s', m => (isEncoderModel(m) ? getEncoderItemsPerSec(m) + ' ' + getEncoderItemUnit(m) : 'N/A')],
+    ['Encoder batch', m => (isEncoderModel(m) ? String(getEncoderBatch(m)) : 'N/A')],
+    ['Images', m => (m.vision ? getImagesPerRequest(m) + ' × ' + m.defaultImageWidth + '×' + m.defaultImageHeight : 'N/A')],
+    ['Experts offloaded', m => (m.moe ? (m.defaultOffloadPct || 0) + '%' : 'N/A')],
+    ['Draft model', m => (getDraftModel(m) ? getDraftModel(m).name + ', ' + getDraftTokens(m) + ' tokens at ' +
+      (getAcceptanceRate(m) * 100).toFixed(0) + '%' : 'none')],
+    ['LoRA', m => (calculateLoraGB(m) > 0 ? getLoraAdapters(m) + ' + ' + getLoraSlots(m) + ' slots, rank ' + getLoraRank(m) +
+      ' on ' + LORA_TARGETS[getLoraTargets(m)].label + ' at ' + getPrecisionLabel(getLoraBytes(m)) : 'none')]
+  ];
+  return fields
+    .filter(([, format]) => format(a) !== format(b))
+    .map(([label, format]) => label + ': ' + format(a) + ' → ' + format(b));
+}
+
+function describeEngine(config) {
+  return getEngineById(config.engineId).name + ' · ' + config.cudaContextGB + ' GB ctx · ' + config.batchTokens +
+    ' batch tokens · ' + config.fragmentationPct + '% frag · ' + config.memoryUtilization + ' util';
+}
+
+function formatDelta(value, unit) {
+  return (value > 0 ? '+' : '') + value.toFixed(1) + unit;
+}
+
+function renderScenarioDiff() {
+  const table = document.getElementById('scenarioDiffTable');
+  table.innerHTML = '';
+
+  const scenarioA = scenarios[document.getElementById('diffScenarioA').value];
+  const scenarioB = scenarios[document.getElementById('diffScenarioB').value];
+  if (!scenarioA || !scenarioB) return;
+
+  const a = evaluateScenario(scenarioA);
+  const b = evaluateScenario(scenarioB);
+
+  const headRow = table.createTHead().insertRow();
+  ['', scenarioA.name, scenarioB.name, 'Change'].forEach(label => {
+    headRow.appendChild(document.createElement('th')).textContent = label;
+  });
+
+  const tbody = table.createTBody();
+  const addRow = (label, textA, textB, change) => {
+    const row = tbody.insertRow();
+    row.insertCell().textContent = label;
+    row.insertCell().textContent = textA;
+    row.insertCell().textContent = textB;
+    const cell = row.insertCell();
+    cell.textContent = change || '—';
+    if (change) cell.className = 'changed';
+  };
+
+  addRow('Hardware', a.hardware.name, b.hardware.name, a.hardware.id !== b.hardware.id ? 'Changed' : '');
+  const engineA = describeEngine(getPlanEngine(scenarioA));
+  const engineB = describeEngine(getPlanEngine(scenarioB));
+  addRow('Serving engine', engineA, engineB, engineA !== engineB ? 'Changed' : '');
+  addRow('Result', a.summary.pass ? 'Pass' : 'Fail', b.summary.pass ? 'Pass' : 'Fail',
+    a.summary.pass !== b.summary.pass ? (b.summary.pass ? 'Now passes' : 'Now fails') : '');
+
+  const totalRows = [
+    ['VRAM used', s => s.totalGB, ' GB'],
+    ['VRAM utilization', s => s.vramPct, '%'],
+    ['Bandwidth', s => s.bandwidthGBps, ' GB/s'],
+    ['Bandwidth utilization', s => s.bandwidthPct, '%'],
+    ['Compute utilization', s => s.computePct, '%'],
+    ['PCIe traffic', s => s.pcieGBps, ' GB/s']
+  ];
+  totalRows.forEach(([label, value, unit]) => {
+    const delta = value(b.summary) - value(a.summary);
+    addRow(label, value(a.summary).toFixed(1) + unit, value(b.summary).toFixed(1) + unit,
+      Math.abs(delta) >= 0.05 ? formatDelta(delta, unit) : '');
+  });
+
+  // Only models whose settings differ
+  const modelsA = buildScenarioModels(scenarioA);
+  const modelsB = buildScenarioModels(scenarioB);
+  let differences = 0;
+  MODELS.forEach((model, idx) => {
+    const changes = describeModelChanges(modelsA[idx], modelsB[idx]);
+    if (changes.length === 0) return;
+    differences++;
+    addRow(model.name, formatPlacement(a.plan.placements[idx]), formatPlacement(b.plan.placements[idx]), changes.join(', '));
+  });
+
+  if (differences === 0) {
+    const cell = tbody.insertRow().insertCell();
+    cell.colSpan = 4;
+    cell.className = 'readonly';
+    cell.textContent = 'Model settings are identical.';
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * AI Hardware Planner - Shareable Links
+ *
+ * Encodes the current plan into the URL fragment so it can be sent as a
+ * link. Works from file:// since nothing leaves the browser. Only models
+ * whose settings differ from their defaults are included, as positional
+ * arrays (see SHARE_FIELDS) keyed by model id:
+ *
+ *   #plan=<base64url of { v, n: scenario name, h: hardware id, e: engine, m: { [modelId]: [...] } }>
+ *
+ * The engine array (see ENGINE_SHARE_FIELDS) is left out when it matches
+ * the default engine preset.
+ *
+ * Depends on:
+ *   - data/hardware.js (getAllHardware)
+ *   - data/models.js (MODELS, isValidReplicaCount)
+ *   - js/state.js (capturePlanState, defaultPlanState, showStateNotice)
+ *   - js/engine.js (createEngineConfig, completeEngineConfig, validateEngineConfig)
+ *   - js/scenarios.js (scenarios, activeScenarioIndex, createScenarioName, switchScenario)
+ *   - js/replicas.js (describeReplicaRows, findReplicaBase, restoreReplicaRows)
+ */
+
+const SHARE_VERSION = 1;
+const SHARE_PARAM = 'plan';
+
+// Order of the saved settings in each model's array; append only
+const SHARE_FIELDS = [
+  'enabled', 'weightBytes', 'kvBytes', 'kvBudget', 'avgTokens', 'promptTokens', 'targetTokensPerSec', 'offloadPct',
+  'p95Tokens', 'maxTokens', 'itemsPerSec', 'encoderBatch', 'imagesPerRequest', 'imageWidth', 'imageHeight',
+  'draftModelId', 'draftTokens', 'acceptancePct', 'loraAdapters', 'loraSlots', 'loraRank', 'loraTargets', 'loraBytes',
+  'replicas'
+];
+const ENGINE_SHARE_FIELDS = [
+  'engineId', 'cudaContextGB', 'batchTokens', 'fragmentationPct', 'memoryUtilization',
+  'kvBlockTokens', 'kvSlotTokens', 'kvPrefixSharePct'
+];
+
+// Encoding
+
+function toBase64Url(text) {
+  let binary = '';
+  new TextEncoder().encode(text).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+function encodeSharedPlan(name, plan) {
+  const models = {};
+  Object.keys(plan.models).forEach(id => {
+    const settings = plan.models[id];
+    const defaults = defaultPlanState.models[id] || {};
+    if (SHARE_FIELDS.every(field => settings[field] === defaults[field])) return;
+    models[id] = SHARE_FIELDS.map(field => (field === 'enabled' ? (settings.enabled ? 1 : 0) : settings[field]));
+  });
+  const data = { v: SHARE_VERSION, n: name, h: plan.hardwareId, m: models };
+  const replicaRows = describeReplicaRows(Object.keys(models));
+  if (Object.keys(replicaRows).length > 0) data.r = replicaRows;
+  const defaultEngine = createEngineConfig(DEFAULT_ENGINE_ID);
+  if (ENGINE_SHARE_FIELDS.some(field => plan.engine[field] !== defaultEngine[field])) {
+    data.e = ENGINE_SHARE_FIELDS.map(field => plan.engine[field]);
+  }
+  return toBase64Url(JSON.stringify(data));
+}
+
+// Returns { name, plan, replicaRows, unmatched } or throws if the link is
+// malformed
+function decodeSharedPlan(encoded) {
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(encoded));
+  } catch (e) {
+    throw new Error('Link is incomplete or damaged');
+  }
+  if (!data || typeof data !== 'object' || typeof data.m !== 'object') {
+    throw new Error('Link does not contain a plan');
+  }
+  if (data.v > SHARE_VERSION) {
+    throw new Error('Link was made by a newer version of the planner');
+  }
+
+  const models = {};
+  const replicaRows = {};
+  const unmatched = [];
+  const sharedRows = data.r && typeof data.r === 'object' ? data.r : {};
+  Object.keys(data.m).forEach(id => {
+    // Replica rows missing here are recreated from their base model
+    const replicaBase = findReplicaBase(id, sharedRows[id]);
+    if ((!replicaBase && !MODELS.some(m => m.id === id)) || !Array.isArray(data.m[id])) {
+      unmatched.push(id);
+      return;
+    }
+    if (replicaBase) replicaRows[id] = replicaBase.id;
+    // Fields missing from the array keep their defaults
+    const settings = Object.assign({}, defaultPlanState.models[replicaBase ? replicaBase.id : id]);
+    SHARE_FIELDS.forEach((field, i) => {
+      const value = data.m[id][i];
+      if (field === 'enabled') {
+        if (value !== undefined) settings.enabled = !!value;
+      } else if (field === 'draftModelId') {
+        // A model id, or null for no draft
+        if (value === null || (typeof value === 'string' && MODELS.some(m => m.id === value))) settings.draftModelId = value;
+      } else if (field === 'loraTargets') {
+        if (LORA_TARGETS[value]) settings.loraTargets = value;
+      } else if (field === 'replicas') {
+        if (isValidReplicaCount(value)) settings.replicas = value;
+      } else if (typeof value === 'number' && isFinite(value) && value >= 0) {
+        settings[field] = value;
+      }
+    });
+    models[id] = settings;
+  });
+
+  if (data.h && !getAllHardware().some(hw => hw.id === data.h)) {
+    unmatched.push('hardware ' + data.h);
+  }
+
+  // Fields missing from the array come from the engine's preset
+  let engine;
+  if (Array.isArray(data.e)) {
+    const saved = {};
+    ENGINE_SHARE_FIELDS.forEach((field, i) => {
+      if (data.e[i] !== undefined) saved[field] = data.e[i];
+    });
+    engine = completeEngineConfig(saved);
+    if (validateEngineConfig(engine).length > 0) {
+      unmatched.push('engine settings');
+      engine = undefined;
+    }
+  }
+
+  return {
+    name: typeof data.n === 'string' && data.n.trim() ? data.n.trim() : 'Shared plan',
+    plan: { hardwareId: data.h, engine, models },
+    replicaRows,
+    unmatched
+  };
+}
+
+function buildShareUrl() {
+  const plan = capturePlanState();
+  const base = location.href.split('#')[0];
+  return base + '#' + SHARE_PARAM + '=' + encodeSharedPlan(scenarios[activeScenarioIndex].name, plan);
+}
+
+// Loading
+
+function getSharedPlanParam() {
+  const match = location.hash.match(new RegExp('[#&]' + SHARE_PARAM + '=([A-Za-z0-9_-]+)'));
+  return match ? match[1] : null;
+}
+
+// Opens a plan from the URL fragment as a new scenario. Called after loadState(),
+// asks before switching away from a saved plan.
+function loadSharedPlan(hadSavedState) {
+  const encoded = getSharedPlanParam();
+  if (!encoded) return;
+
+  clearShareFragment();
+  let shared;
+  try {
+    shared = decodeSharedPlan(encoded);
+  } catch (e) {
+    console.warn('Failed to read shared plan:', e);
+    showStateNotice('The plan in this link could not be read: ' + e.message);
+    return;
+  }
+
+  if (hadSavedState && !confirm('Open the shared plan "' + shared.name + '"? It is added as a new scenario; your saved scenarios are kept.')) {
+    return;
+  }
+
+  restoreReplicaRows(shared.replicaRows);
+  scenarios.push(Object.assign({ name: createScenarioName(shared.name) }, shared.plan));
+  switchScenario(scenarios.length - 1);
+
+  if (shared.unmatched.length > 0) {
+    showStateNotice('Parts of the shared plan are not available here and were skipped (' + shared.unmatched.join(', ') + ').');
+  }
+}
+
+// So reloading doesn't ask again
+function clearShareFragment() {
+  try {
+    history.replaceState(null, '', location.href.split('#')[0]);
+  } catch (e) {
+    location.hash = '';
+  }
+}
+
+// Copy button
+
+function copyShareLink() {
+  const url = buildShareUrl();
+  const button = document.getElementById('copyLinkButton');
+  const showCopied = () => {
+    button.textContent = 'Copied!';
+    setTimeout(() => {
+      button.textContent = 'Copy Link';
+    }, 1500);
+  };
+
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url).then(showCopied, () => prompt('Copy this link:', url));
+  } else {
+    prompt('Copy this link:', url);
+  }
+}
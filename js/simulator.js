@@ -0,0 +1,631 @@
+/**
+ * AI Hardware Planner - Traffic Simulator
+ *
+ * Discrete-event simulation of requests arriving at each enabled model:
+ * Poisson arrivals with sampled prompt / output lengths, or an uploaded
+ * trace (see js/traces.js). Each engine iteration admits queued requests
+ * whose whole context fits in the KV budget (FIFO, no preemption), prefills
+ * them, and decodes one token for every running request. Prefill is
+ * compute-bound; a decode step reads the weights once plus each request's
+ * KV cache, as in js/compute.js. With a draft model, each iteration is a
+ * speculative step's time averaged over the tokens it yields.
+ *
+ * Reports queue wait, time-to-first-token and inter-token latency
+ * percentiles, rejected requests (queue full, timed out, or longer than
+ * Max Tokens/Req / the KV budget) and the share of requests meeting the SLO.
+ *
+ * Each model (one replica of it) runs on its GPUs with their bandwidth to
+ * itself, like the Decode tok/s column. An uploaded trace is split
+ * round-robin across the model's replicas and one share is replayed, as
+ * the Poisson rate is per replica. The simulation runs in a Web Worker
+ * built from a Blob URL so the page stays responsive; if workers are
+ * unavailable (e.g. blocked on file://) it runs on the main thread.
+ *
+ * Depends on:
+ *   - data/models.js (MODELS, calculateKVLayout, calculateMaxConcurrent, getWindowLayers, getDraftModel, getReplicaCount,
+ *     etc.)
+ *   - js/compute.js (getPeakTflops, calculateRequestRate, PREFILL_MFU)
+ *   - js/engine.js (engineConfig)
+ *   - js/placement.js (getGpuCount)
+ *   - js/curve.js (getModelShards)
+ *   - js/traces.js (parseTrace, formatTraceErrors)
+ *   - js/app.js (currentHardware, readNumberInput, addActionButton, showErrorList, formatTokensPerSec)
+ */
+
+// Engine iterations simulated per model before giving up
+const SIMULATION_MAX_STEPS = 2000000;
+
+// Uploaded traces by model id: { fileName, requests, duration }
+const simulatorTraces = {};
+
+let simulatorWorker = null;
+let simulatorRunId = 0;
+
+// Simulation inputs (main thread)
+
+// Everything the simulation needs about one model, as plain numbers so it
+// can be posted to the worker
+function buildSimulationPlan(model, modelIdx, hardware, engine = engineConfig) {
+  const shards = getModelShards(modelIdx);
+  const gpuCount = getGpuCount(hardware);
+  const layout = calculateKVLayout(model, engine);
+  const windowLayers = getWindowLayers(model);
+  const valueBytes = model.kvHeads === 0 ? 0 : calculateKVValuesPerLayer(model) * model.defaultKvBytes;
+  const activeParams = model.activeParams || model.baseParams;
+  const bytes = model.defaultWeightBytes;
+  const draft = getDraftModel(model);
+  const draftParams = draft ? draft.activeParams || draft.baseParams : 0;
+
+  return {
+    maxTokens: Math.min(model.maxContext, getContextMax(model) + calculateImageTokens(model)),
+    kvBudgetBytes: Math.max(0, model.defaultKVBudget * 1e9 - layout.sharedBytes),
+    kvLayout: layout.type,
+    kvBlockTokens: Math.max(1, engine.kvBlockTokens),
+    kvSlotTokens: engine.kvSlotTokens || model.maxContext,
+    sharedPromptPct: layout.type === 'radix' ? engine.kvPrefixSharePct : 0,
+    fullLayerBytesPerToken: (model.layers - windowLayers) * valueBytes,
+    windowLayerBytesPerToken: windowLayers * valueBytes,
+    window: windowLayers > 0 ? model.attention.window : 0,
+    activeWeightsGB: (activeParams * bytes) / 1e9,
+    alwaysActiveGB: model.moe ? ((model.moe.denseParams + model.moe.sharedExpertParams) * bytes) / 1e9 : (activeParams * bytes) / 1e9,
+    expertGB: (calculateExpertParams(model) * bytes) / 1e9,
+    experts: model.moe ? model.moe.experts : 0,
+    expertsPerToken: model.moe ? model.moe.expertsPerToken : 0,
+    offloadShare: getOffloadShare(model),
+    draftTokens: draft ? getDraftTokens(model) : 0,
+    tokensPerStep: calculateTokensPerStep(model),
+    draftWeightsGB: draft ? (draftParams * draft.defaultWeightBytes) / 1e9 : 0,
+    draftKVBytesPerToken: draft ? calculateKVPerToken(draft, getContextTokens(model)) : 0,
+    prefillFlopsPerToken: 2 * (activeParams + draftParams),
+    visionFlopsPerRequest: calculateVisionFlops(model),
+    attentionFlopsPerTokenPair: 2 * model.layers * model.numHeads * model.headDim,
+    prefillFlopsPerSec: (getPeakTflops(hardware, bytes) / gpuCount) * shards * 1e12 * PREFILL_MFU,
+    bandwidth: (hardware.bandwidth / gpuCount) * shards,
+    pcieBandwidth: (hardware.pcieBandwidth || 0) * shards
+  };
+}
+
+// Default load: the request rate at which Max Concurrent users each decode
+// at the target tok/s. Image tokens count as prompt.
+function getDefaultSimulationInputs(model) {
+  return {
+    rate: parseFloat(calculateRequestRate(model).toPrecision(3)),
+    promptTokens: getPromptTokens(model),
+    outputTokens: Math.max(1, model.defaultAvgTokens - (model.defaultPromptTokens || 0))
+  };
+}
+
+// Simulation (runs in the worker; must only use the functions listed in
+// SIMULATOR_WORKER_FUNCTIONS)
+
+// Seeded PRNG (mulberry32) so runs are repeatable
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Token count with the given mean: fixed, exponential, or log-normal
+// (sigma 1, a long tail like chat prompts)
+function sampleLength(random, mean, distribution) {
+  if (mean <= 0) return 0;
+  let value = mean;
+  if (distribution === 'exponential') {
+    value = -Math.log(1 - random()) * mean;
+  } else if (distribution === 'lognormal') {
+    const normal = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    value = Math.exp(Math.log(mean) - 0.5 + normal);
+  }
+  return Math.max(1, Math.round(value));
+}
+
+// Poisson arrivals over the duration; lengths are clamped to the longest
+// context the server accepts
+function generateArrivals(spec, options, random) {
+  const arrivals = [];
+  if (spec.rate <= 0) return arrivals;
+  let time = 0;
+  for (;;) {
+    time += -Math.log(1 - random()) / spec.rate;
+    if (time > options.duration) break;
+    const promptTokens = Math.min(sampleLength(random, spec.promptTokens, options.distribution), spec.plan.maxTokens - 1);
+    const outputTokens = Math.min(sampleLength(random, spec.outputTokens, options.distribution), spec.plan.maxTokens - promptTokens);
+    arrivals.push({ time, promptTokens, outputTokens: Math.max(1, outputTokens) });
+  }
+  return arrivals;
+}
+
+// Same as calculateKVBytes, from the plan
+function simulationKVBytes(plan, tokens) {
+  return plan.fullLayerBytesPerToken * tokens + plan.windowLayerBytesPerToken * Math.min(tokens, plan.window);
+}
+
+// Target plus draft KV cache, as in calculateRequestKVBytes
+function simulationContextKVBytes(plan, tokens) {
+  return simulationKVBytes(plan, tokens) + plan.draftKVBytesPerToken * tokens;
+}
+
+// KV cache reserved for a request's whole context under the engine's
+// layout, as in calculateKVLayout
+function simulationRequestKVBytes(plan, promptTokens, outputTokens) {
+  const tokens = promptTokens + outputTokens;
+  if (plan.kvLayout === 'paged') {
+    return simulationContextKVBytes(plan, Math.ceil(tokens / plan.kvBlockTokens) * plan.kvBlockTokens);
+  }
+  if (plan.kvLayout === 'slots') return simulationContextKVBytes(plan, Math.max(plan.kvSlotTokens, tokens));
+  const sharedTokens = Math.max(0, Math.min(tokens - 1, Math.round(promptTokens * plan.sharedPromptPct / 100)));
+  return Math.max(
+    simulationContextKVBytes(plan, tokens) - simulationContextKVBytes(plan, sharedTokens),
+    simulationContextKVBytes(plan, tokens - sharedTokens)
+  );
+}
+
+// Seconds per generated token for the running requests, as in
+// calculateDecodeStepAt: one decode step, or a speculative step (k draft
+// steps plus a target pass verifying k + 1 tokens) over the tokens it yields
+function simulationDecodeSeconds(plan, running) {
+  let touchedGB = 0;
+  if (plan.experts > 0) {
+    const routedTokens = running.length * (plan.draftTokens + 1);
+    const distinct = plan.experts * (1 - Math.pow(1 - plan.expertsPerToken / plan.experts, routedTokens));
+    touchedGB = distinct * plan.expertGB;
+  }
+  let kvBytes = 0;
+  let draftKVBytes = 0;
+  running.forEach(request => {
+    kvBytes += simulationKVBytes(plan, request.promptTokens + request.generated);
+    draftKVBytes += plan.draftKVBytesPerToken * (request.promptTokens + request.generated);
+  });
+  const draftGB = plan.draftTokens * (plan.draftWeightsGB + draftKVBytes / 1e9);
+  const vramGB = plan.alwaysActiveGB + touchedGB * (1 - plan.offloadShare) + kvBytes / 1e9 + draftGB;
+  const offloadGB = touchedGB * plan.offloadShare;
+  const pcieSeconds = offloadGB > 0 && plan.pcieBandwidth > 0 ? offloadGB / plan.pcieBandwidth : 0;
+  return (vramGB / plan.bandwidth + pcieSeconds) / plan.tokensPerStep;
+}
+
+// FLOPs to prefill one prompt, as in calculatePrefillFlops
+function simulationPrefillFlops(plan, promptTokens) {
+  return plan.visionFlopsPerRequest + plan.prefillFlopsPerToken * promptTokens + plan.attentionFlopsPerTokenPair * promptTokens * promptTokens;
+}
+
+// Value below which p% of samples fall; null without samples
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+function summarizeLatencies(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return { p50: percentile(sorted, 50), p95: percentile(sorted, 95), p99: percentile(sorted, 99) };
+}
+
+// Percentiles of [seconds, count] pairs, weighting each value by its count
+function summarizeWeightedLatencies(pairs) {
+  const sorted = pairs.slice().sort((a, b) => a[0] - b[0]);
+  const total = sorted.reduce((sum, pair) => sum + pair[1], 0);
+  const at = p => {
+    if (total === 0) return null;
+    const rank = (p / 100) * total;
+    let seen = 0;
+    for (const pair of sorted) {
+      seen += pair[1];
+      if (seen > rank) return pair[0];
+    }
+    return sorted[sorted.length - 1][0];
+  };
+  return { p50: at(50), p95: at(95), p99: at(99) };
+}
+
+function simulateModel(spec, options) {
+  const plan = spec.plan;
+  const arrivals = spec.trace || generateArrivals(spec, options, createRandom(options.seed + spec.modelIdx));
+  const itlTarget = spec.targetTokensPerSec > 0 ? 1 / spec.targetTokensPerSec : Infinity;
+
+  const queue = [];
+  let queueHead = 0;
+  let running = [];
+  let reservedBytes = 0;
+  let time = 0;
+  let next = 0;
+  let steps = 0;
+  let peakBatch = 0;
+  let generatedTokens = 0;
+  let completed = 0;
+  let sloMet = 0;
+  const rejected = { queueFull: 0, timedOut: 0, tooLong: 0 };
+  const queueWaits = [];
+  const ttfts = [];
+  const itlSteps = [];
+
+  const finish = request => {
+    completed++;
+    reservedBytes -= request.kvBytes;
+    const meanItl = request.outputTokens > 1 ? request.itlSum / (request.outputTokens - 1) : 0;
+    if (request.ttft <= options.ttftSlo && meanItl <= itlTarget) sloMet++;
+  };
+
+  while (next < arrivals.length || queueHead < queue.length || running.length > 0) {
+    if (steps >= options.maxSteps) break;
+
+    while (next < arrivals.length && arrivals[next].time <= time) {
+      const arrival = arrivals[next++];
+      const kvBytes = simulationRequestKVBytes(plan, arrival.promptTokens, arrival.outputTokens);
+      if (arrival.promptTokens + arrival.outputTokens > plan.maxTokens || kvBytes > plan.kvBudgetBytes) {
+        rejected.tooLong++;
+      } else if (queue.length - queueHead >= options.maxQueue) {
+        rejected.queueFull++;
+      } else {
+        queue.push(Object.assign({ kvBytes, generated: 0, itlSum: 0, ttft: 0 }, arrival));
+      }
+    }
+    while (queueHead < queue.length && time - queue[queueHead].time > options.queueTimeout) {
+      queueHead++;
+      rejected.timedOut++;
+    }
+
+    // Admit in arrival order while the whole context fits
+    const admitted = [];
+    while (queueHead < queue.length && reservedBytes + queue[queueHead].kvBytes <= plan.kvBudgetBytes) {
+      const request = queue[queueHead++];
+      reservedBytes += request.kvBytes;
+      queueWaits.push(time - request.time);
+      admitted.push(request);
+    }
+
+    if (admitted.length === 0 && running.length === 0) {
+      if (next >= arrivals.length) break;
+      time = arrivals[next].time;
+      continue;
+    }
+
+    // Prefill the admitted prompts, then one decode step for the running
+    // requests; alone, prefill still reads the active weights once
+    let prefillFlops = 0;
+    admitted.forEach(request => {
+      prefillFlops += simulationPrefillFlops(plan, request.promptTokens);
+    });
+    const prefillSeconds = admitted.length > 0 ? prefillFlops / plan.prefillFlopsPerSec : 0;
+    const seconds = running.length > 0
+      ? prefillSeconds + simulationDecodeSeconds(plan, running)
+      : Math.max(prefillSeconds, plan.activeWeightsGB / plan.bandwidth);
+
+    time += seconds;
+    steps++;
+    peakBatch = Math.max(peakBatch, running.length + admitted.length);
+    generatedTokens += running.length + admitted.length;
+    if (running.length > 0) itlSteps.push([seconds, running.length]);
+
+    running = running.filter(request => {
+      request.generated++;
+      request.itlSum += seconds;
+      if (request.generated < request.outputTokens) return true;
+      finish(request);
+      return false;
+    });
+    admitted.forEach(request => {
+      request.generated = 1;
+      request.ttft = time - request.time;
+      ttfts.push(request.ttft);
+      if (request.outputTokens > 1) running.push(request);
+      else finish(request);
+    });
+  }
+
+  const rejectedTotal = rejected.queueFull + rejected.timedOut + rejected.tooLong;
+  return {
+    modelIdx: spec.modelIdx,
+    requests: arrivals.length,
+    completed,
+    rejected: Object.assign({ total: rejectedTotal }, rejected),
+    unfinished: arrivals.length - completed - rejectedTotal,
+    truncated: steps >= options.maxSteps,
+    queueWait: summarizeLatencies(queueWaits),
+    ttft: summarizeLatencies(ttfts),
+    itl: summarizeWeightedLatencies(itlSteps),
+    sloPct: arrivals.length > 0 ? (sloMet / arrivals.length) * 100 : null,
+    tokensPerSec: time > 0 ? generatedTokens / time : 0,
+    peakBatch,
+    seconds: time
+  };
+}
+
+// input: { options, specs }; returns one result per spec
+function runSimulation(input) {
+  return input.specs.map(spec => simulateModel(spec, input.options));
+}
+
+const SIMULATOR_WORKER_FUNCTIONS = [
+  createRandom, sampleLength, generateArrivals, simulationKVBytes, simulationContextKVBytes, simulationRequestKVBytes,
+  simulationDecodeSeconds, simulationPrefillFlops, percentile, summarizeLatencies,
+  summarizeWeightedLatencies, simulateModel, runSimulation
+];
+
+// Worker
+
+function createSimulatorWorker() {
+  const source = SIMULATOR_WORKER_FUNCTIONS.map(fn => fn.toString()).join('\n\n') +
+    '\n\nself.onmessage = event => self.postMessage(runSimulation(event.data));\n';
+  const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+  const worker = new Worker(url);
+  worker.blobUrl = url;
+  return worker;
+}
+
+function stopSimulatorWorker() {
+  if (!simulatorWorker) return;
+  simulatorWorker.terminate();
+  URL.revokeObjectURL(simulatorWorker.blobUrl);
+  simulatorWorker = null;
+}
+
+// Resolves with the results; falls back to the main thread when a worker
+// can't be created or fails to load
+function runSimulationInBackground(input) {
+  stopSimulatorWorker();
+  return new Promise(resolve => {
+    const runHere = () => setTimeout(() => resolve(runSimulation(input)), 0);
+    if (typeof Worker === 'undefined') {
+      runHere();
+      return;
+    }
+    try {
+      simulatorWorker = createSimulatorWorker();
+    } catch (e) {
+      runHere();
+      return;
+    }
+    simulatorWorker.onmessage = event => {
+      stopSimulatorWorker();
+      resolve(event.data);
+    };
+    simulatorWorker.onerror = event => {
+      event.preventDefault();
+      stopSimulatorWorker();
+      runHere();
+    };
+    simulatorWorker.postMessage(input);
+  });
+}
+
+// Dialog
+
+function getSimulatedModels() {
+  return MODELS
+    .map((model, idx) => ({ model, idx }))
+    .filter(entry => entry.model.enabled && calculateMaxConcurrent(entry.model) > 0);
+}
+
+function openSimulator() {
+  renderSimulatorInputs();
+  document.getElementById('simulatorErrors').innerHTML = '';
+  document.getElementById('simulatorStatus').textContent = '';
+  document.getElementById('simulatorResults').innerHTML = '';
+  document.getElementById('simulatorDialog').showModal();
+}
+
+function closeSimulator() {
+  simulatorRunId++;
+  stopSimulatorWorker();
+}
+
+function createSimulatorNumberInput(id, value, step) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.id = id;
+  input.min = '0';
+  input.step = step;
+  input.value = value;
+  return input;
+}
+
+function renderSimulatorInputs() {
+  const table = document.getElementById('simulatorInputs');
+  table.innerHTML = '';
+  const entries = getSimulatedModels();
+  if (entries.length === 0) {
+    const row = table.insertRow();
+    row.insertCell().textContent = 'Enable a model with a KV cache budget to simulate it.';
+    return;
+  }
+
+  const headRow = table.createTHead().insertRow();
+  ['Model', 'Arrivals (req/s)', 'Prompt tokens (mean)', 'Output tokens (mean)', 'Trace'].forEach(label => {
+    headRow.appendChild(document.createElement('th')).textContent = label;
+  });
+
+  const tbody = table.createTBody();
+  entries.forEach(({ model, idx }) => {
+    const defaults = getDefaultSimulationInputs(model);
+    const trace = simulatorTraces[model.id];
+    const row = tbody.insertRow();
+    row.insertCell().textContent = model.name;
+
+    [
+      ['simRate' + idx, defaults.rate, '0.01'],
+      ['simPrompt' + idx, defaults.promptTokens, '1'],
+      ['simOutput' + idx, defaults.outputTokens, '1']
+    ].forEach(([id, value, step]) => {
+      const input = createSimulatorNumberInput(id, value, step);
+      input.disabled = !!trace;
+      row.insertCell().appendChild(input);
+    });
+
+    const traceCell = row.insertCell();
+    if (trace) {
+      const label = document.createElement('span');
+      label.textContent = trace.fileName + ' · ' + trace.requests.length.toLocaleString() + ' requests over ' +
+        trace.duration.toFixed(0) + ' s ';
+      traceCell.appendChild(label);
+      addActionButton(traceCell, 'Clear', () => {
+        delete simulatorTraces[model.id];
+        renderSimulatorInputs();
+      });
+    } else {
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = '.csv,.json,.jsonl,.txt';
+      fileInput.onchange = event => loadSimulatorTrace(event, model);
+      traceCell.appendChild(fileInput);
+    }
+  });
+}
+
+function loadSimulatorTrace(event, model) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    const trace = parseTrace(reader.result);
+    if (trace.requests.length > 0) {
+      simulatorTraces[model.id] = { fileName: file.name, requests: trace.requests, duration: trace.duration };
+      renderSimulatorInputs();
+    }
+    showErrorList('simulatorErrors', formatTraceErrors(trace, file.name));
+  };
+  reader.readAsText(file);
+}
+
+// Returns { input, errors }
+function readSimulatorForm() {
+  const errors = [];
+  const positive = (value, label) => {
+    if (value === null || isNaN(value) || value <= 0) errors.push(label + ' must be greater than 0.');
+    return value;
+  };
+  const options = {
+    duration: positive(readNumberInput('simDuration'), 'Duration'),
+    distribution: document.getElementById('simDistribution').value,
+    ttftSlo: positive(readNumberInput('simTtftSlo'), 'TTFT SLO'),
+    queueTimeout: positive(readNumberInput('simQueueTimeout'), 'Queue timeout'),
+    maxQueue: positive(readNumberInput('simMaxQueue'), 'Max queued requests'),
+    seed: readNumberInput('simSeed') || 0,
+    maxSteps: SIMULATION_MAX_STEPS
+  };
+
+  const specs = getSimulatedModels().map(({ model, idx }) => {
+    const spec = {
+      modelIdx: idx,
+      plan: buildSimulationPlan(model, idx, currentHardware),
+      targetTokensPerSec: model.defaultTargetTokensPerSec
+    };
+    const trace = simulatorTraces[model.id];
+    if (trace) {
+      // One replica's share of the log, dealt out round-robin
+      const copies = getReplicaCount(model);
+      spec.trace = trace.requests.filter((request, i) => i % copies === 0);
+      return spec;
+    }
+    spec.rate = readNumberInput('simRate' + idx);
+    spec.promptTokens = readNumberInput('simPrompt' + idx);
+    spec.outputTokens = readNumberInput('simOutput' + idx);
+    if (spec.rate === null || isNaN(spec.rate) || spec.rate < 0) errors.push(model.name + ': arrivals must be at least 0 req/s.');
+    if (spec.promptTokens === null || isNaN(spec.promptTokens) || spec.promptTokens < 0) {
+      errors.push(model.name + ': prompt tokens must be at least 0.');
+    }
+    if (spec.outputTokens === null || isNaN(spec.outputTokens) || spec.outputTokens < 1) {
+      errors.push(model.name + ': output tokens must be at least 1.');
+    }
+    return spec;
+  });
+  if (specs.length === 0) errors.push('No enabled model has a KV cache budget.');
+
+  return { input: { options, specs }, errors };
+}
+
+function runSimulator() {
+  const form = readSimulatorForm();
+  showErrorList('simulatorErrors', form.errors);
+  if (form.errors.length > 0) return;
+
+  const runId = ++simulatorRunId;
+  const status = document.getElementById('simulatorStatus');
+  status.textContent = 'Simulating…';
+  runSimulationInBackground(form.input).then(results => {
+    if (runId !== simulatorRunId) return;
+    status.textContent = '';
+    renderSimulatorResults(results, form.input.options);
+  });
+}
+
+function formatLatency(seconds) {
+  if (seconds === null) return '—';
+  if (seconds < 0.01) return (seconds * 1000).toFixed(1) + ' ms';
+  if (seconds < 1) return (seconds * 1000).toFixed(0) + ' ms';
+  return seconds.toFixed(2) + ' s';
+}
+
+function formatLatencyPercentiles(summary) {
+  return [summary.p50, summary.p95, summary.p99].map(formatLatency).join(' / ');
+}
+
+function renderSimulatorResults(results, options) {
+  const container = document.getElementById('simulatorResults');
+  container.innerHTML = '';
+
+  const table = document.createElement('table');
+  table.className = 'details-table';
+  const headRow = table.createTHead().insertRow();
+  ['Model', 'Requests', 'Completed', 'Rejected', 'Queue wait p50 / p95 / p99', 'TTFT p50 / p95 / p99',
+    'Inter-token p50 / p95 / p99', 'Within SLO', 'Decode tok/s', 'Peak batch'].forEach(label => {
+    headRow.appendChild(document.createElement('th')).textContent = label;
+  });
+
+  const tbody = table.createTBody();
+  const notes = [];
+  results.forEach(result => {
+    const model = MODELS[result.modelIdx];
+    const itlTarget = model.defaultTargetTokensPerSec > 0 ? 1 / model.defaultTargetTokensPerSec : null;
+    const row = tbody.insertRow();
+    row.insertCell().textContent = model.name;
+    row.insertCell().textContent = result.requests.toLocaleString();
+    row.insertCell().textContent = result.completed.toLocaleString();
+
+    const rejectedCell = row.insertCell();
+    rejectedCell.textContent = result.rejected.total.toLocaleString();
+    rejectedCell.title = 'Queue full: ' + result.rejected.queueFull + ' · Timed out in queue: ' + result.rejected.timedOut +
+      ' · Longer than Max Tokens/Req or the KV budget: ' + result.rejected.tooLong;
+    if (result.rejected.total > 0) rejectedCell.className = 'bw-high';
+
+    row.insertCell().textContent = formatLatencyPercentiles(result.queueWait);
+
+    const ttftCell = row.insertCell();
+    ttftCell.textContent = formatLatencyPercentiles(result.ttft);
+    if (result.ttft.p99 !== null && result.ttft.p99 > options.ttftSlo) ttftCell.className = 'bw-high';
+
+    const itlCell = row.insertCell();
+    itlCell.textContent = formatLatencyPercentiles(result.itl);
+    if (itlTarget !== null && result.itl.p99 !== null && result.itl.p99 > itlTarget) itlCell.className = 'bw-high';
+
+    const sloCell = row.insertCell();
+    sloCell.textContent = result.sloPct === null ? 'N/A' : result.sloPct.toFixed(1) + '%';
+    sloCell.title = 'TTFT ≤ ' + formatLatency(options.ttftSlo) +
+      (itlTarget !== null ? ' and mean inter-token latency ≤ ' + formatLatency(itlTarget) +
+        ' (' + model.defaultTargetTokensPerSec + ' tok/s)' : '') + '; rejected requests miss it';
+
+    row.insertCell().textContent = formatTokensPerSec(result.tokensPerSec);
+    row.insertCell().textContent = result.peakBatch.toLocaleString();
+
+    if (simulatorTraces[model.id] && getReplicaCount(model) > 1) {
+      notes.push(model.name + ': the trace is split round-robin across ' + getReplicaCount(model) +
+        ' replicas; figures are for one replica.');
+    }
+    if (result.truncated) {
+      notes.push(model.name + ': stopped after ' + SIMULATION_MAX_STEPS.toLocaleString() + ' engine iterations at ' +
+        result.seconds.toFixed(0) + ' s with ' + result.unfinished.toLocaleString() + ' requests unfinished.');
+    }
+  });
+  container.appendChild(table);
+
+  notes.forEach(text => {
+    const note = document.createElement('p');
+    note.className = 'hint';
+    note.textContent = text;
+    container.appendChild(note);
+  });
+}
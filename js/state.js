@@ -0,0 +1,244 @@
+/**
+ * AI Hardware Planner - Saved State
+ *
+ * Persists scenarios to localStorage. Model settings are keyed by model id,
+ * so adding, removing or reordering entries in data/models.js keeps every
+ * saved setting on the right model. The saved object carries a schema
+ * version; older versions are migrated step by step on load and entries that
+ * no longer match a model are dropped with a visible notice.
+ *
+ * Saved shape (version 3):
+ *   { version, activeScenario, scenarios: [{ name, hardwareId, engine, models: { [modelId]: settings } }] }
+ * `engine` is optional; plans without it use the default engine preset.
+ *
+ * Depends on:
+ *   - data/hardware.js (getHardwareById, getDefaultHardware)
+ *   - data/models.js (MODELS, isValidReplicaCount)
+ *   - js/scenarios.js (scenarios, activeScenarioIndex, DEFAULT_SCENARIO_NAME)
+ *   - js/engine.js (engineConfig, createEngineConfig, completeEngineConfig, validateEngineConfig)
+ */
+
+const STATE_KEY = 'aiHardwarePlannerState';
+const STATE_VERSION = 3;
+
+// Built-in model order before models had ids; versions 1 and 2 saved
+// settings by position in this list, followed by custom models
+const LEGACY_MODEL_ORDER = [
+  'llama-3.1-8b', 'llama-3.3-70b', 'qwen3-8b', 'deepseek-v3', 'llama-4-scout', 'llama-4-maverick',
+  'mistral-large-3', 'qwen3-vl-8b', 'qwen3-coder-30b-a3b', 'qwen3-embedding-8b', 'qwen3-reranker-8b', 'distilbert-base'
+];
+
+// Migrations by the version they upgrade from; each returns the next version's shape
+const STATE_MIGRATIONS = {
+  // 1: a single plan, { hardwareId, models: [settings by index] }
+  1: state => ({
+    activeScenario: 0,
+    scenarios: [{ name: DEFAULT_SCENARIO_NAME, hardwareId: state.hardwareId, models: state.models }]
+  }),
+
+  // 2: scenarios with settings by index
+  2: state => {
+    const legacyIds = LEGACY_MODEL_ORDER.concat(MODELS.filter(m => m.custom).map(m => m.id));
+    return {
+      activeScenario: state.activeScenario,
+      scenarios: state.scenarios.map(scenario => {
+        const models = {};
+        (scenario.models || []).forEach((settings, idx) => {
+          models[legacyIds[idx] || 'index-' + idx] = settings;
+        });
+        return Object.assign({}, scenario, { models });
+      })
+    };
+  }
+};
+
+// Settings of the built-in and custom models before any saved plan is applied
+let defaultPlanState = null;
+
+function getStateVersion(state) {
+  if (state.version) return state.version;
+  return state.scenarios ? 2 : 1;
+}
+
+// Upgrade a parsed state to STATE_VERSION; throws on versions from a newer app
+function migrateState(state) {
+  let version = getStateVersion(state);
+  if (version > STATE_VERSION) {
+    throw new Error('Saved state version ' + version + ' is newer than this app (' + STATE_VERSION + ')');
+  }
+  while (version < STATE_VERSION) {
+    state = STATE_MIGRATIONS[version](state);
+    version++;
+  }
+  state.version = STATE_VERSION;
+  return state;
+}
+
+// Drop saved settings for models that no longer exist; returns a description of each
+function removeUnmatchedModels(state) {
+  const unmatched = [];
+  state.scenarios.forEach(scenario => {
+    Object.keys(scenario.models || {}).forEach(id => {
+      if (MODELS.some(m => m.id === id)) return;
+      delete scenario.models[id];
+      unmatched.push(scenario.name + ': ' + id);
+    });
+  });
+  return unmatched;
+}
+
+function loadState() {
+  currentHardware = getDefaultHardware();
+  defaultPlanState = capturePlanState();
+
+  let state = null;
+  const notices = [];
+  const saved = localStorage.getItem(STATE_KEY);
+  if (saved) {
+    try {
+      state = migrateState(JSON.parse(saved));
+      const unmatched = removeUnmatchedModels(state);
+      if (unmatched.length > 0) {
+        notices.push('Saved settings for ' + unmatched.length + ' model(s) no longer match any model and were dropped (' +
+          unmatched.join(', ') + ').');
+      }
+    } catch (e) {
+      console.warn('Failed to load saved state:', e);
+      notices.push('Saved plans could not be loaded and were reset: ' + e.message);
+      state = null;
+    }
+  }
+
+  if (state && state.scenarios.length > 0) {
+    scenarios = state.scenarios;
+    activeScenarioIndex = Math.min(Math.max(state.activeScenario || 0, 0), scenarios.length - 1);
+    applyPlanState(scenarios[activeScenarioIndex]);
+  } else {
+    scenarios = [Object.assign({ name: DEFAULT_SCENARIO_NAME }, defaultPlanState)];
+    activeScenarioIndex = 0;
+  }
+
+  if (state) {
+    // Rewrite in the current schema so migrations and notices only happen once
+    persistScenarios();
+  }
+  if (notices.length > 0) {
+    showStateNotice(notices.join(' '));
+  }
+}
+
+// Writes the current plan into the active scenario
+function saveState() {
+  scenarios[activeScenarioIndex] = Object.assign({ name: scenarios[activeScenarioIndex].name }, capturePlanState());
+  persistScenarios();
+}
+
+function persistScenarios() {
+  const state = { version: STATE_VERSION, activeScenario: activeScenarioIndex, scenarios };
+  localStorage.setItem(STATE_KEY, JSON.stringify(state));
+}
+
+// Hardware and per-model settings of the current plan
+function capturePlanState() {
+  const models = {};
+  MODELS.forEach(model => {
+    models[model.id] = captureModelSettings(model);
+  });
+  return { hardwareId: currentHardware.id, engine: Object.assign({}, engineConfig), models };
+}
+
+function captureModelSettings(model) {
+  return {
+    enabled: model.enabled,
+    replicas: getReplicaCount(model),
+    weightBytes: model.defaultWeightBytes,
+    kvBytes: model.defaultKvBytes,
+    kvBudget: model.defaultKVBudget,
+    avgTokens: model.defaultAvgTokens,
+    promptTokens: model.defaultPromptTokens,
+    p95Tokens: getContextP95(model),
+    maxTokens: getContextMax(model),
+    targetTokensPerSec: model.defaultTargetTokensPerSec,
+    offloadPct: model.defaultOffloadPct || 0,
+    itemsPerSec: getEncoderItemsPerSec(model),
+    encoderBatch: getEncoderBatch(model),
+    imagesPerRequest: getImagesPerRequest(model),
+    imageWidth: model.defaultImageWidth || 0,
+    imageHeight: model.defaultImageHeight || 0,
+    draftModelId: model.defaultDraftModelId || null,
+    draftTokens: getDraftTokens(model),
+    acceptancePct: getAcceptanceRate(model) * 100,
+    loraAdapters: getLoraAdapters(model),
+    loraSlots: getLoraSlots(model),
+    loraRank: getLoraRank(model),
+    loraTargets: getLoraTargets(model),
+    loraBytes: getLoraBytes(model)
+  };
+}
+
+// Models missing from the plan fall back to their defaults
+function applyPlanState(plan) {
+  currentHardware = plan.hardwareId ? getHardwareById(plan.hardwareId) : getDefaultHardware();
+  engineConfig = getPlanEngine(plan);
+  MODELS.forEach(model => {
+    if (defaultPlanState.models[model.id]) applyModelSettings(model, defaultPlanState.models[model.id]);
+    if (plan.models && plan.models[model.id]) applyModelSettings(model, plan.models[model.id]);
+  });
+}
+
+function getPlanEngine(plan) {
+  // Plans saved before KV cache settings stored them as `overhead`
+  const saved = plan.engine || plan.overhead;
+  if (saved && typeof saved === 'object') {
+    const config = completeEngineConfig(saved);
+    if (validateEngineConfig(config).length === 0) return config;
+  }
+  return createEngineConfig(DEFAULT_ENGINE_ID);
+}
+
+function applyModelSettings(model, saved) {
+  model.enabled = saved.enabled;
+  model.defaultWeightBytes = saved.weightBytes;
+  model.defaultKvBytes = saved.kvBytes;
+  model.defaultKVBudget = saved.kvBudget;
+  model.defaultAvgTokens = saved.avgTokens;
+  if (saved.promptTokens !== undefined) {
+    model.defaultPromptTokens = saved.promptTokens;
+  }
+  // Plans saved before the context distribution keep the model's defaults
+  if (saved.p95Tokens !== undefined) model.defaultP95Tokens = saved.p95Tokens;
+  if (saved.maxTokens !== undefined) model.defaultMaxTokens = saved.maxTokens;
+  model.defaultTargetTokensPerSec = saved.targetTokensPerSec;
+  // Plans saved before expert offload had everything in VRAM
+  model.defaultOffloadPct = saved.offloadPct || 0;
+  // Plans saved before encoder workloads keep the model's defaults
+  if (saved.itemsPerSec !== undefined) model.defaultItemsPerSec = saved.itemsPerSec;
+  if (saved.encoderBatch !== undefined) model.defaultEncoderBatch = saved.encoderBatch;
+  // Plans saved before image inputs keep the model's defaults
+  if (model.vision) {
+    if (saved.imagesPerRequest !== undefined) model.defaultImagesPerRequest = saved.imagesPerRequest;
+    if (saved.imageWidth) model.defaultImageWidth = saved.imageWidth;
+    if (saved.imageHeight) model.defaultImageHeight = saved.imageHeight;
+  }
+  // Plans saved before speculative decoding had no draft model
+  model.defaultDraftModelId = saved.draftModelId || null;
+  if (saved.draftTokens !== undefined) model.defaultDraftTokens = saved.draftTokens;
+  if (saved.acceptancePct !== undefined) model.defaultAcceptancePct = saved.acceptancePct;
+  // Plans saved before replicas ran one copy of each model
+  model.defaultReplicas = isValidReplicaCount(saved.replicas) ? saved.replicas : 1;
+  // Plans saved before LoRA adapters had none
+  model.defaultLoraAdapters = saved.loraAdapters || 0;
+  model.defaultLoraSlots = saved.loraSlots || 0;
+  if (saved.loraRank !== undefined) model.defaultLoraRank = saved.loraRank;
+  if (saved.loraTargets !== undefined) model.defaultLoraTargets = saved.loraTargets;
+  if (saved.loraBytes !== undefined) model.defaultLoraBytes = saved.loraBytes;
+}
+
+function showStateNotice(message) {
+  document.getElementById('stateNoticeText').textContent = message;
+  document.getElementById('stateNotice').style.display = 'flex';
+}
+
+function dismissStateNotice() {
+  document.getElementById('stateNotice').style.display = 'none';
+}
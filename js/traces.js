@@ -0,0 +1,175 @@
+/**
+ * AI Hardware Planner - Request Traces
+ *
+ * Parses uploaded request logs (e.g. exported from vLLM or an
+ * OpenAI-compatible proxy) for the traffic simulator and workload import.
+ * Accepts CSV with a header row, a JSON array, or JSON Lines; each record
+ * needs an arrival time and prompt / output token counts, and may name its
+ * model and give its latency or end time. Column names are matched loosely
+ * (e.g. timestamp, prompt_tokens, completion_tokens, model), including
+ * inside an OpenAI-style "usage" object. Times may be
+ * seconds, epoch milliseconds or ISO dates and are shifted to start at 0.
+ *
+ * Depends on: nothing
+ */
+
+const TRACE_FIELDS = {
+  time: ['timestamp', 'time', 'arrival', 'arrival_time', 'created', 'created_at', 'start_time'],
+  promptTokens: ['prompt_tokens', 'input_tokens', 'prompt', 'input', 'context_tokens', 'request_tokens'],
+  outputTokens: ['output_tokens', 'completion_tokens', 'generated_tokens', 'output', 'completion', 'response_tokens'],
+  model: ['model', 'model_name', 'model_id', 'served_model_name'],
+  latency: ['latency', 'duration', 'e2e_latency', 'elapsed', 'response_time', 'latency_s', 'duration_s'],
+  latencyMs: ['latency_ms', 'duration_ms', 'elapsed_ms', 'response_time_ms'],
+  endTime: ['end_time', 'end_timestamp', 'finished_at', 'completed_at', 'finish_time']
+};
+
+// Trace problems listed before the rest are summarized
+const TRACE_ERROR_LIMIT = 5;
+
+// Epoch milliseconds are larger than any plausible seconds value
+const TRACE_EPOCH_MS_THRESHOLD = 1e11;
+
+// Lower-case, underscore-separated key so "Prompt Tokens" matches prompt_tokens
+function normalizeTraceKey(key) {
+  return String(key).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function findTraceValue(record, field) {
+  const keys = Object.keys(record);
+  for (const alias of TRACE_FIELDS[field]) {
+    const key = keys.find(k => normalizeTraceKey(k) === alias);
+    if (key !== undefined) return record[key];
+  }
+  return undefined;
+}
+
+// Seconds, epoch milliseconds or a date string; NaN when unreadable
+function parseTraceTime(value) {
+  if (typeof value === 'number') return value > TRACE_EPOCH_MS_THRESHOLD ? value / 1000 : value;
+  const text = String(value).trim();
+  if (text !== '' && !isNaN(text)) return parseTraceTime(parseFloat(text));
+  return Date.parse(text) / 1000;
+}
+
+// Splits one CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function parseTraceRecords(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[')) return JSON.parse(trimmed);
+  if (trimmed.startsWith('{')) {
+    return trimmed.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  const lines = trimmed.split(/\r?\n/).filter(line => line.trim());
+  const header = splitCsvLine(lines[0] || '');
+  return lines.slice(1).map(line => {
+    const values = splitCsvLine(line);
+    const record = {};
+    header.forEach((key, i) => {
+      record[key] = values[i];
+    });
+    return record;
+  });
+}
+
+// Seconds from arrival to the last token, from a latency or an end time;
+// null when the record has neither
+function parseTraceLatency(record, time) {
+  const latency = parseFloat(findTraceValue(record, 'latency'));
+  if (latency >= 0) return latency;
+  const latencyMs = parseFloat(findTraceValue(record, 'latencyMs'));
+  if (latencyMs >= 0) return latencyMs / 1000;
+  const endValue = findTraceValue(record, 'endTime');
+  const endTime = endValue === undefined ? NaN : parseTraceTime(endValue);
+  return endTime >= time ? endTime - time : null;
+}
+
+// Returns { requests: [{ time, promptTokens, outputTokens, model, latency }]
+// sorted by time, duration, errors }. model is '' and latency null when the
+// log doesn't record them. Unreadable records are skipped and reported.
+function parseTrace(text) {
+  let records;
+  try {
+    records = parseTraceRecords(text);
+  } catch (e) {
+    return { requests: [], duration: 0, errors: ['Could not read trace: ' + e.message] };
+  }
+  if (!Array.isArray(records)) records = [];
+
+  const requests = [];
+  const errors = [];
+  records.forEach((entry, i) => {
+    if (!entry || typeof entry !== 'object') {
+      errors.push('Record ' + (i + 1) + ': not an object.');
+      return;
+    }
+    const record = entry.usage && typeof entry.usage === 'object' ? Object.assign({}, entry, entry.usage) : entry;
+    const time = parseTraceTime(findTraceValue(record, 'time'));
+    const promptTokens = Math.round(parseFloat(findTraceValue(record, 'promptTokens')));
+    const outputTokens = Math.round(parseFloat(findTraceValue(record, 'outputTokens')));
+    if (!isFinite(time)) {
+      errors.push('Record ' + (i + 1) + ': missing or unreadable timestamp.');
+    } else if (!(promptTokens >= 0) || !(outputTokens >= 1)) {
+      errors.push('Record ' + (i + 1) + ': needs prompt tokens of at least 0 and output tokens of at least 1.');
+    } else {
+      const model = findTraceValue(record, 'model');
+      requests.push({
+        time,
+        promptTokens,
+        outputTokens,
+        model: model === undefined || model === null ? '' : String(model).trim(),
+        latency: parseTraceLatency(record, time)
+      });
+    }
+  });
+
+  if (requests.length === 0 && errors.length === 0) errors.push('Trace has no requests.');
+  requests.sort((a, b) => a.time - b.time);
+  const start = requests.length > 0 ? requests[0].time : 0;
+  requests.forEach(request => {
+    request.time -= start;
+  });
+
+  return {
+    requests,
+    duration: requests.length > 0 ? requests[requests.length - 1].time : 0,
+    errors
+  };
+}
+
+// A trace's errors as messages prefixed with the file name, the first
+// TRACE_ERROR_LIMIT in full and the rest as a count
+function formatTraceErrors(trace, fileName) {
+  const errors = trace.errors.slice(0, TRACE_ERROR_LIMIT).map(error => fileName + ': ' + error);
+  if (trace.errors.length > TRACE_ERROR_LIMIT) {
+    errors.push(fileName + ': ' + (trace.errors.length - TRACE_ERROR_LIMIT) + ' more records skipped.');
+  }
+  return errors;
+}
@@ -0,0 +1,386 @@
+/**
+ * AI Hardware Planner - Workload Import
+ *
+ * Derives row settings from a real request log instead of guesses. The log
+ * (see js/traces.js) is grouped by its model column and each group matched
+ * to a planner model by name. Applying a group sets the model's:
+ *   - Prompt Tokens and Avg Tokens/Req to the observed means, p95 and Max
+ *     Tokens/Req to the observed context p95 and longest request
+ *   - Target tok/s to the median per-request output rate, when the log
+ *     records latencies or end times
+ *   - KV Budget to hold the peak number of requests in flight
+ * Without latencies a request is counted in flight for outputTokens / the
+ * row's Target tok/s.
+ *
+ * The token distribution of each applied group is kept (localStorage) and
+ * shown in the model's details panel.
+ *
+ * Depends on:
+ *   - data/models.js (MODELS, calculateKVPerToken, calculateKVBudgetFor, calculateImageTokens)
+ *   - js/traces.js (parseTrace, formatTraceErrors)
+ *   - js/simulator.js (percentile)
+ *   - js/app.js (renderTable, updateDisplay, showErrorList, formatTokensPerSec)
+ *   - js/state.js (saveState)
+ *   - js/details.js (createDetailsSection, appendDetailsRows, appendDetailsChart, refreshModelDetails)
+ *   - Chart.js
+ */
+
+const WORKLOADS_KEY = 'aiHardwarePlannerWorkloads';
+
+// Peak throughput is the busiest window of this length
+const WORKLOAD_PEAK_WINDOW_SECONDS = 60;
+
+// Smallest histogram bin; bins double from here
+const WORKLOAD_MIN_BIN_TOKENS = 256;
+
+// Applied workloads by model id: summary plus fileName
+let workloadProfiles = {};
+
+// Groups of the loaded log: [{ logModel, requests, modelIdx }]
+let workloadGroups = [];
+let workloadFileName = '';
+
+let workloadChart = null;
+
+// Persistence
+
+function loadWorkloadProfiles() {
+  const saved = localStorage.getItem(WORKLOADS_KEY);
+  if (!saved) return;
+
+  try {
+    workloadProfiles = JSON.parse(saved) || {};
+  } catch (e) {
+    console.warn('Failed to load workload profiles:', e);
+  }
+}
+
+function saveWorkloadProfiles() {
+  localStorage.setItem(WORKLOADS_KEY, JSON.stringify(workloadProfiles));
+}
+
+// Analysis
+
+function normalizeModelName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Planner model whose id or name appears in the logged model name (the
+// longest match wins, so Qwen3-VL-8B beats Qwen3-8B); -1 when none does
+function matchTraceModel(logModel) {
+  const key = normalizeModelName(logModel);
+  let best = -1;
+  let bestLength = 0;
+  MODELS.forEach((model, idx) => {
+    [model.id, model.name].forEach(candidate => {
+      const name = normalizeModelName(candidate);
+      if (name && key.includes(name) && name.length > bestLength) {
+        best = idx;
+        bestLength = name.length;
+      }
+    });
+  });
+  return best;
+}
+
+function groupTraceByModel(requests) {
+  const groups = {};
+  requests.forEach(request => {
+    if (!groups[request.model]) groups[request.model] = [];
+    groups[request.model].push(request);
+  });
+  return Object.keys(groups).sort().map(logModel => ({
+    logModel,
+    requests: groups[logModel],
+    modelIdx: matchTraceModel(logModel)
+  }));
+}
+
+function summarizeTokenCounts(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  return {
+    mean: total / sorted.length,
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+// Counts per bin; bin i holds contexts up to edges[i] tokens
+function buildContextHistogram(contexts, maxTokens) {
+  const edges = [WORKLOAD_MIN_BIN_TOKENS];
+  while (edges[edges.length - 1] < maxTokens) edges.push(edges[edges.length - 1] * 2);
+  const counts = edges.map(() => 0);
+  contexts.forEach(tokens => {
+    counts[edges.findIndex(edge => tokens <= edge)]++;
+  });
+  return { edges, counts };
+}
+
+// Most requests in flight at once; requests ending and starting at the same
+// moment don't overlap
+function calculatePeakConcurrency(requests, durationOf) {
+  const events = [];
+  requests.forEach(request => {
+    events.push([request.time, 1], [request.time + durationOf(request), -1]);
+  });
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let peak = 0;
+  events.forEach(event => {
+    current += event[1];
+    peak = Math.max(peak, current);
+  });
+  return peak;
+}
+
+// Output tok/s over the busiest window of arrivals (requests sorted by time)
+function calculatePeakTokensPerSec(requests, windowSeconds) {
+  let start = 0;
+  let sum = 0;
+  let peak = 0;
+  requests.forEach(request => {
+    sum += request.outputTokens;
+    while (request.time - requests[start].time >= windowSeconds) {
+      sum -= requests[start].outputTokens;
+      start++;
+    }
+    peak = Math.max(peak, sum);
+  });
+  return peak / windowSeconds;
+}
+
+// Token distributions, peak concurrency and throughput of one model's
+// requests. targetTokensPerSec sizes requests without a logged latency.
+function summarizeWorkload(requests, targetTokensPerSec) {
+  const rates = requests
+    .filter(request => request.latency > 0)
+    .map(request => request.outputTokens / request.latency)
+    .sort((a, b) => a - b);
+  const perUserTokensPerSec = rates.length > 0 ? percentile(rates, 50) : null;
+  const rate = perUserTokensPerSec || targetTokensPerSec;
+  const durationOf = request => {
+    if (request.latency !== null) return request.latency;
+    return rate > 0 ? request.outputTokens / rate : 0;
+  };
+
+  const contexts = requests.map(request => request.promptTokens + request.outputTokens);
+  const context = summarizeTokenCounts(contexts);
+  const spanSeconds = requests[requests.length - 1].time - requests[0].time;
+  const outputTotal = requests.reduce((sum, request) => sum + request.outputTokens, 0);
+
+  return {
+    requests: requests.length,
+    spanSeconds,
+    prompt: summarizeTokenCounts(requests.map(request => request.promptTokens)),
+    output: summarizeTokenCounts(requests.map(request => request.outputTokens)),
+    context,
+    histogram: buildContextHistogram(contexts, context.max),
+    latencyLogged: rates.length > 0,
+    perUserTokensPerSec,
+    peakConcurrency: calculatePeakConcurrency(requests, durationOf),
+    meanTokensPerSec: spanSeconds > 0 ? outputTotal / spanSeconds : null,
+    peakTokensPerSec: calculatePeakTokensPerSec(requests, Math.min(WORKLOAD_PEAK_WINDOW_SECONDS, Math.max(1, spanSeconds)))
+  };
+}
+
+function summarizeWorkloadGroup(group) {
+  const model = MODELS[group.modelIdx];
+  return summarizeWorkload(group.requests, model ? model.defaultTargetTokensPerSec : 0);
+}
+
+// Sets the row's token counts, target tok/s and KV budget from the workload.
+// Logged prompt tokens include image tokens, which the row adds separately.
+function applyWorkloadProfile(model, profile) {
+  const imageTokens = calculateImageTokens(model);
+  const textTokens = tokens => Math.max(0, Math.round(tokens) - imageTokens);
+  model.defaultPromptTokens = textTokens(profile.prompt.mean);
+  model.defaultAvgTokens = textTokens(profile.context.mean);
+  model.defaultP95Tokens = textTokens(profile.context.p95);
+  model.defaultMaxTokens = textTokens(profile.context.max);
+  if (profile.perUserTokensPerSec !== null) {
+    model.defaultTargetTokensPerSec = Math.max(1, Math.round(profile.perUserTokensPerSec));
+  }
+  // Sized after the token counts change, since they set the per-request KV
+  if (calculateKVPerToken(model) > 0) {
+    model.defaultKVBudget = calculateKVBudgetFor(model, profile.peakConcurrency);
+  }
+}
+
+// Dialog
+
+function openWorkloadImport() {
+  document.getElementById('workloadFile').value = '';
+  workloadGroups = [];
+  showErrorList('workloadErrors', []);
+  renderWorkloadGroups();
+  document.getElementById('workloadDialog').showModal();
+}
+
+function loadWorkloadFile(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    const trace = parseTrace(reader.result);
+    showErrorList('workloadErrors', formatTraceErrors(trace, file.name));
+    workloadFileName = file.name;
+    workloadGroups = groupTraceByModel(trace.requests);
+    renderWorkloadGroups();
+  };
+  reader.readAsText(file);
+}
+
+function formatTokenSummary(summary) {
+  return Math.round(summary.mean).toLocaleString() + ' / ' + summary.p95.toLocaleString();
+}
+
+function describeTokenSummary(summary) {
+  return 'mean ' + Math.round(summary.mean).toLocaleString() + ', p95 ' + summary.p95.toLocaleString() +
+    ', max ' + summary.max.toLocaleString();
+}
+
+function formatDuration(seconds) {
+  if (seconds < 120) return seconds.toFixed(0) + ' s';
+  if (seconds < 7200) return (seconds / 60).toFixed(0) + ' min';
+  return (seconds / 3600).toFixed(1) + ' h';
+}
+
+function renderWorkloadGroups() {
+  const table = document.getElementById('workloadTable');
+  table.innerHTML = '';
+  document.getElementById('applyWorkloadButton').disabled = !workloadGroups.some(group => MODELS[group.modelIdx]);
+  if (workloadGroups.length === 0) return;
+
+  const headRow = table.createTHead().insertRow();
+  ['Logged model', 'Planner model', 'Requests', 'Prompt mean / p95', 'Output mean / p95', 'Context mean / p95',
+    'Peak in flight', 'Output tok/s mean / peak', 'Per-user tok/s'].forEach(label => {
+    headRow.appendChild(document.createElement('th')).textContent = label;
+  });
+
+  const tbody = table.createTBody();
+  workloadGroups.forEach(group => {
+    const profile = summarizeWorkloadGroup(group);
+    const row = tbody.insertRow();
+    row.insertCell().textContent = group.logModel || '(no model column)';
+
+    const select = document.createElement('select');
+    const skip = document.createElement('option');
+    skip.value = '-1';
+    skip.textContent = 'Skip';
+    select.appendChild(skip);
+    MODELS.forEach((model, idx) => {
+      const opt = document.createElement('option');
+      opt.value = idx;
+      opt.textContent = model.name;
+      select.appendChild(opt);
+    });
+    select.value = String(group.modelIdx);
+    select.onchange = () => {
+      group.modelIdx = parseInt(select.value);
+      renderWorkloadGroups();
+    };
+    row.insertCell().appendChild(select);
+
+    row.insertCell().textContent = profile.requests.toLocaleString();
+    row.insertCell().textContent = formatTokenSummary(profile.prompt);
+    row.insertCell().textContent = formatTokenSummary(profile.output);
+    row.insertCell().textContent = formatTokenSummary(profile.context);
+
+    const peakCell = row.insertCell();
+    peakCell.textContent = profile.peakConcurrency.toLocaleString();
+    peakCell.title = profile.latencyLogged
+      ? 'From logged latencies'
+      : 'Estimated: each request in flight for its output tokens at the row\'s Target tok/s';
+
+    row.insertCell().textContent = (profile.meanTokensPerSec === null ? 'N/A' : formatTokensPerSec(profile.meanTokensPerSec)) +
+      ' / ' + formatTokensPerSec(profile.peakTokensPerSec);
+    row.insertCell().textContent = profile.perUserTokensPerSec === null ? 'Not logged' : formatTokensPerSec(profile.perUserTokensPerSec);
+  });
+}
+
+function applyWorkloadGroups() {
+  workloadGroups.forEach(group => {
+    const model = MODELS[group.modelIdx];
+    if (!model) return;
+    const profile = summarizeWorkloadGroup(group);
+    applyWorkloadProfile(model, profile);
+    workloadProfiles[model.id] = Object.assign({ fileName: workloadFileName, logModel: group.logModel }, profile);
+  });
+
+  saveWorkloadProfiles();
+  document.getElementById('workloadDialog').close();
+  saveState();
+  renderTable();
+  updateDisplay();
+  refreshModelDetails();
+}
+
+// Details panel
+
+function destroyWorkloadChart() {
+  if (workloadChart) {
+    workloadChart.destroy();
+    workloadChart = null;
+  }
+}
+
+function formatBinTokens(tokens) {
+  return tokens >= 1024 ? (tokens / 1024) + 'K' : String(tokens);
+}
+
+// Context length histogram and stats of the model's imported workload
+function renderWorkloadSection(model) {
+  const profile = workloadProfiles[model.id];
+  const section = createDetailsSection('Imported Workload');
+  destroyWorkloadChart();
+
+  const rows = [
+    ['Source', profile.fileName + (profile.logModel ? ' (' + profile.logModel + ')' : '')],
+    ['Requests', profile.requests.toLocaleString() + ' over ' + formatDuration(profile.spanSeconds)],
+    ['Prompt tokens', describeTokenSummary(profile.prompt)],
+    ['Output tokens', describeTokenSummary(profile.output)],
+    ['Context tokens', describeTokenSummary(profile.context)],
+    ['Peak in flight', profile.peakConcurrency + (profile.latencyLogged ? '' : ' (estimated from Target tok/s)')],
+    ['Peak output', formatTokensPerSec(profile.peakTokensPerSec) + ' tok/s']
+  ];
+  appendDetailsRows(section, rows);
+
+  const labels = profile.histogram.edges.map((edge, i) =>
+    (i === 0 ? '0' : formatBinTokens(profile.histogram.edges[i - 1])) + '–' + formatBinTokens(edge));
+
+  appendDetailsChart(section, {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [{ label: 'Requests', data: profile.histogram.counts, backgroundColor: '#4fc3f7' }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      scales: {
+        x: {
+          title: { display: true, text: 'Context tokens (prompt + output)', color: '#888' },
+          ticks: { color: '#888' },
+          grid: { color: '#333' }
+        },
+        y: {
+          beginAtZero: true,
+          title: { display: true, text: 'Requests', color: '#888' },
+          ticks: { color: '#888', precision: 0 },
+          grid: { color: '#333' }
+        }
+      },
+      plugins: {
+        legend: { display: false },
+        datalabels: { display: false }
+      }
+    }
+  }, chart => { workloadChart = chart; });
+
+  return section;
+}